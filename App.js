@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import {
   StyleSheet,
   Text,
@@ -10,26 +10,144 @@ import {
   useColorScheme,
   KeyboardAvoidingView,
   Platform,
+  Share,
+  Linking,
+  Alert,
+  InteractionManager,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Hand } from 'pokersolver';
 import { captureRef } from 'react-native-view-shot';
 import { StatusBar } from 'expo-status-bar';
 import * as Sharing from 'expo-sharing';
 import { MaterialIcons } from '@expo/vector-icons';
 
-const STORAGE_KEY = '@texas_holdem_players';
+import {
+  analyzeOuts,
+  applyBettingAction,
+  awardPots,
+  BETTING_STREETS,
+  buildDeck,
+  buildPots,
+  calculateEquity,
+  calculateRangeEquity,
+  categoryDistribution,
+  computePlayerStats,
+  createBettingHand,
+  dealHand,
+  evaluateShowdown,
+  evaluateTable,
+  expandRange,
+  formatRange,
+  formatTableLink,
+  formatTableNotation,
+  formatPlayerCsv,
+  formatPokerStarsHand,
+  GAME_MODES,
+  getGameMode,
+  getLegalActions,
+  HAND_CATEGORIES,
+  hasHiddenCards,
+  ODD_CHIP_RULES,
+  parseCard,
+  parseChips,
+  parsePokerStarsHand,
+  parseRange,
+  parseTableLink,
+  parseTableNotation,
+  randomSeed,
+  RANGE_GRID,
+  replayBetting,
+  sortPlayerStats,
+  STAT_SORTS,
+  suits,
+} from './engine';
+
+// Players saved before sessions existed; moved into the first session
+const LEGACY_PLAYERS_KEY = '@texas_holdem_players';
 const SETTINGS_KEY = '@texas_holdem_settings';
+const HISTORY_KEY = '@texas_holdem_history';
+// Undo and redo stacks of the active session's table
+const TABLE_EDITS_KEY = '@texas_holdem_table_edits';
+// Oldest table edits are forgotten past this
+const TABLE_EDITS_LIMIT = 100;
+// How long the Undo snackbar stays up, in milliseconds
+const SNACKBAR_DURATION = 5000;
+// The undo history is saved once edits pause for this long, in milliseconds
+const TABLE_EDITS_SAVE_DELAY = 1000;
+// Equity waits this long after the last card change, in milliseconds
+const EQUITY_DELAY = 300;
+
+// Bump the version, and migrate from the previous key, when the shape of the
+// saved sessions changes
+const SESSIONS_VERSION = 1;
+const SESSIONS_KEY = `@texas_holdem_sessions_v${SESSIONS_VERSION}`;
+
+// Table links in the native app use the scheme from app.json; on the web
+// they point back at the page itself
+const TABLE_LINK_BASE = 'holdem://table';
+
+// Board cards showing on each training street: preflop, flop, turn, river
+const STREET_CARDS = [0, 3, 4, 5];
+const STREET_NAMES = ['Flop', 'Turn', 'River'];
+
+// Ranges are Hold'em starting hands from the full deck
+const usesRanges = (game) => game.holeCards === 2 && !game.shortDeck;
+
+const createSession = (name, players = []) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  players,
+  community: ['', '', '', '', ''],
+  dealer: 0,
+});
+
+// Read the saved sessions, building the first one from the legacy player
+// list when there are none yet
+const loadSessions = async () => {
+  const saved = await AsyncStorage.getItem(SESSIONS_KEY);
+  if (saved) {
+    const data = JSON.parse(saved);
+    if (data.version === SESSIONS_VERSION && data.sessions.length > 0) {
+      return data;
+    }
+  }
+
+  const legacy = await AsyncStorage.getItem(LEGACY_PLAYERS_KEY);
+  const session = createSession('Table 1', legacy ? JSON.parse(legacy) : []);
+  const data = {
+    version: SESSIONS_VERSION,
+    activeId: session.id,
+    sessions: [session],
+  };
+  await AsyncStorage.setItem(SESSIONS_KEY, JSON.stringify(data));
+  await AsyncStorage.removeItem(LEGACY_PLAYERS_KEY);
+  return data;
+};
+
+// Oldest hands are dropped once the log grows past this
+const HISTORY_LIMIT = 200;
 
-const suits = [
-  { symbol: '♠️', code: 's' },
-  { symbol: '♥️', code: 'h' },
-  { symbol: '♦️', code: 'd' },
-  { symbol: '♣️', code: 'c' },
+// Share card sizes in points; the image is captured at SHARE_SCALE times
+// this so it stays sharp when posted
+const SHARE_LAYOUTS = [
+  {
+    value: 'square',
+    label: 'Square',
+    width: 360,
+    height: 360,
+    cardSize: 'small',
+  },
+  { value: 'tall', label: 'Tall', width: 360, height: 640, cardSize: 'medium' },
 ];
+const SHARE_SCALE = 3;
 
-const ranks = ['A', 'K', 'Q', 'J', 'T', '9', '8', '7', '6', '5', '4', '3', '2'];
+// Orders the card grid fills empty slots in
+const ENTRY_ORDERS = [
+  { value: 'handsFirst', label: 'Hands, then board' },
+  { value: 'dealing', label: 'Dealing order' },
+  { value: 'boardFirst', label: 'Board, then hands' },
+];
 
 export default function App() {
   const colorScheme = useColorScheme();
@@ -39,10 +157,20 @@ export default function App() {
     darkMode: colorScheme === 'dark',
     showCardSuits: true,
     cardSize: 'medium', // small, medium, large
+    oddChipRule: 'first', // first, last, house
+    gameMode: 'holdem', // a GAME_MODES value
+    hiLo: false, // split pots with an eight-or-better low
+    shareLayout: 'square', // square, tall
+    entryOrder: 'handsFirst', // an ENTRY_ORDERS value
   });
 
   // Use settings.darkMode override if set
   const isDark = settings.darkMode;
+  const game = getGameMode(settings.gameMode);
+  // Razz is already a low game, and a Short Deck has no cards below six to
+  // make an eight-or-better low, so neither has a low half
+  const hasLowHalf = !game.lowball && !game.shortDeck;
+  const hiLo = settings.hiLo && hasLowHalf;
 
   const colors = {
     backgroundGradient: isDark
@@ -61,6 +189,9 @@ export default function App() {
   const [players, setPlayers] = useState([]);
   const [community, setCommunity] = useState(['', '', '', '', '']);
   const [results, setResults] = useState([]);
+  const [equity, setEquity] = useState(null);
+  const [outs, setOuts] = useState(null);
+  const [pots, setPots] = useState([]);
 
   const [cardPickerVisible, setCardPickerVisible] = useState(false);
   const [onSelectCard, setOnSelectCard] = useState(() => () => { });
@@ -68,34 +199,175 @@ export default function App() {
 
   const [nameModalVisible, setNameModalVisible] = useState(false);
   const [newPlayerName, setNewPlayerName] = useState('');
+  // Seat being renamed by the name modal; null when adding a player
+  const [renamingIndex, setRenamingIndex] = useState(null);
+
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [dealer, setDealer] = useState(0);
+  const [sessionsVisible, setSessionsVisible] = useState(false);
+  const [sessionName, setSessionName] = useState('');
+  const [renamingSessionId, setRenamingSessionId] = useState(null);
+
+  // Earlier and undone tables, each {players, community, dealer, gameMode}.
+  // `lastTable` is the table as last seen; `restoringTable` one being put
+  // back by undo, redo or a session switch, which is not itself an edit
+  const [tableEdits, setTableEdits] = useState({ undo: [], redo: [] });
+  const lastTable = useRef(null);
+  const restoringTable = useRef(null);
+  // Text field behind the coming table change, and the field being typed in
+  // since its undo step was recorded: keystrokes in one field are one edit
+  const editedField = useRef(null);
+  const typingField = useRef(null);
+  // Message offering to undo the last destructive edit
+  const [snackbar, setSnackbar] = useState(null);
+  const snackbarTimer = useRef(null);
+
+  const [importVisible, setImportVisible] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
 
-  // Ref for capturing results view
-  const resultsRef = useRef();
+  // Player whose range is being edited, and the range text being typed
+  const [rangePlayer, setRangePlayer] = useState(null);
+  const [rangeText, setRangeText] = useState('');
 
-  // Load players from storage
+  const [notationVisible, setNotationVisible] = useState(false);
+  const [notationText, setNotationText] = useState('');
+  const [notationError, setNotationError] = useState(null);
+
+  // Card grid edits as {slot, before, after}. The grid's undo and redo only
+  // step through the cards placed or cleared since it was opened
+  const [gridVisible, setGridVisible] = useState(false);
+  const [gridHistory, setGridHistory] = useState({ undo: [], redo: [] });
+
+  const [history, setHistory] = useState([]);
+  const [historyVisible, setHistoryVisible] = useState(false);
+  const [selectedHandId, setSelectedHandId] = useState(null);
+
+  const [statsVisible, setStatsVisible] = useState(false);
+  const [statsScope, setStatsScope] = useState('session'); // session, all
+  const [statsSort, setStatsSort] = useState('handsWon');
+
+  // Training drill: the dealt board is revealed a street at a time while the
+  // player guesses the winner and their hand
+  const [training, setTraining] = useState(null);
+  const [trainingScore, setTrainingScore] = useState({ correct: 0, total: 0 });
+  const [seedText, setSeedText] = useState('');
+
+  // Betting recorder: the blinds and starting stacks of a hand and the actions
+  // taken since, replayed to get the state at any point
+  const [bettingVisible, setBettingVisible] = useState(false);
+  const [blinds, setBlinds] = useState({
+    smallBlind: '5',
+    bigBlind: '10',
+    ante: '',
+  });
+  const [betting, setBetting] = useState(null);
+  const [betAmount, setBetAmount] = useState('');
+  const [replayStep, setReplayStep] = useState(null);
+
+  // Table link the app was opened with, applied once saved state has loaded
+  const [pendingLink, setPendingLink] = useState(null);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+
+  // Offscreen card captured as the shared results image
+  const [shareVisible, setShareVisible] = useState(false);
+  const shareCardRef = useRef();
+
+  // Load sessions from storage, with the undo history of the active one
   useEffect(() => {
     (async () => {
       try {
-        const savedPlayers = await AsyncStorage.getItem(STORAGE_KEY);
-        if (savedPlayers) {
-          setPlayers(JSON.parse(savedPlayers));
+        const data = await loadSessions();
+        const savedEdits = await AsyncStorage.getItem(TABLE_EDITS_KEY);
+        const session =
+          data.sessions.find((s) => s.id === data.activeId) || data.sessions[0];
+        setSessions(data.sessions);
+        // Saved hands already match the saved game, which may not have
+        // loaded yet
+        openSession(session, false);
+        const edits = savedEdits && JSON.parse(savedEdits);
+        if (edits && edits.sessionId === session.id) {
+          setTableEdits({ undo: edits.undo, redo: edits.redo });
         }
       } catch (e) {
-        console.warn('Failed to load players from storage', e);
+        console.warn('Failed to load sessions', e);
       }
     })();
   }, []);
 
-  // Save players on change
+  // Record every change to the table as an edit that can be undone. The
+  // game is kept with each table so undoing a switch restores both, but a
+  // change of game alone (as when settings load) is not an edit
+  useEffect(() => {
+    const table = { players, community, dealer, gameMode: settings.gameMode };
+    const previous = lastTable.current;
+    const restoring = restoringTable.current;
+    const field = editedField.current;
+    const same = (t) =>
+      t.players === players && t.community === community && t.dealer === dealer;
+    lastTable.current = table;
+    editedField.current = null;
+    if (restoring && same(restoring)) {
+      restoringTable.current = null;
+      return;
+    }
+    if (!previous || same(previous) || !activeSessionId) return;
+    // Further typing in the same field belongs to the step already recorded
+    if (field && field === typingField.current) return;
+    typingField.current = field;
+    setTableEdits((edits) => ({
+      undo: [...edits.undo, previous].slice(-TABLE_EDITS_LIMIT),
+      redo: [],
+    }));
+  }, [players, community, dealer, settings.gameMode]);
+
+  // Save the undo history once edits pause, after sessions have been loaded
+  useEffect(() => {
+    if (!activeSessionId) return;
+    const timer = setTimeout(async () => {
+      try {
+        await AsyncStorage.setItem(
+          TABLE_EDITS_KEY,
+          JSON.stringify({ sessionId: activeSessionId, ...tableEdits })
+        );
+      } catch (e) {
+        console.warn('Failed to save undo history', e);
+      }
+    }, TABLE_EDITS_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [tableEdits, activeSessionId]);
+
+  useEffect(() => () => clearTimeout(snackbarTimer.current), []);
+
+  // Keep the active session in step with the table
+  useEffect(() => {
+    if (!activeSessionId) return;
+    setSessions((list) =>
+      list.map((s) =>
+        s.id === activeSessionId ? { ...s, players, community, dealer } : s
+      )
+    );
+  }, [activeSessionId, players, community, dealer]);
+
+  // Save sessions on change, once they have been loaded
   useEffect(() => {
+    if (!activeSessionId) return;
     (async () => {
       try {
-        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(players));
+        await AsyncStorage.setItem(
+          SESSIONS_KEY,
+          JSON.stringify({
+            version: SESSIONS_VERSION,
+            activeId: activeSessionId,
+            sessions,
+          })
+        );
       } catch (e) {
-        console.warn('Failed to save players to storage', e);
+        console.warn('Failed to save sessions', e);
       }
     })();
-  }, [players]);
+  }, [sessions, activeSessionId]);
 
   // Load settings from storage
   useEffect(() => {
@@ -103,14 +375,34 @@ export default function App() {
       try {
         const savedSettings = await AsyncStorage.getItem(SETTINGS_KEY);
         if (savedSettings) {
-          setSettings(JSON.parse(savedSettings));
+          setSettings((s) => ({ ...s, ...JSON.parse(savedSettings) }));
         }
       } catch (e) {
         console.warn('Failed to load settings', e);
+      } finally {
+        setSettingsLoaded(true);
       }
     })();
   }, []);
 
+  // Listen for table links, both the one that launched the app and any
+  // opened while it is running
+  useEffect(() => {
+    Linking.getInitialURL()
+      .then(setPendingLink)
+      .catch((e) => console.warn('Failed to read the opening link', e));
+    const subscription = Linking.addEventListener('url', ({ url }) =>
+      setPendingLink(url)
+    );
+    return () => subscription.remove();
+  }, []);
+
+  useEffect(() => {
+    if (!pendingLink || !settingsLoaded || !activeSessionId) return;
+    openTableLink(pendingLink);
+    setPendingLink(null);
+  }, [pendingLink, settingsLoaded, activeSessionId]);
+
   // Save settings on change
   useEffect(() => {
     (async () => {
@@ -122,40 +414,175 @@ export default function App() {
     })();
   }, [settings]);
 
-  const clearCards = async () => {
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      setPlayers([]);
-      setCommunity(['', '', '', '', '']);
-      setResults([]);
-      alert('All cards cleared and saved data reset!');
-    } catch (e) {
-      alert('Failed to clear cards and saved data.');
+  // Load hand history from storage
+  useEffect(() => {
+    (async () => {
+      try {
+        const savedHistory = await AsyncStorage.getItem(HISTORY_KEY);
+        if (savedHistory) {
+          setHistory(JSON.parse(savedHistory));
+        }
+      } catch (e) {
+        console.warn('Failed to load hand history', e);
+      }
+    })();
+  }, []);
+
+  // Save hand history on change
+  useEffect(() => {
+    (async () => {
+      try {
+        await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+      } catch (e) {
+        console.warn('Failed to save hand history', e);
+      }
+    })();
+  }, [history]);
+
+  // Put a table back without recording it as an edit
+  const restoreTable = (table) => {
+    restoringTable.current = table;
+    typingField.current = null;
+    setPlayers(table.players);
+    setCommunity(table.community);
+    setDealer(table.dealer);
+    if (table.gameMode) {
+      setSettings((s) => ({ ...s, gameMode: table.gameMode }));
     }
+    setResults([]);
+    setPots([]);
   };
 
-  const parseCard = (card) => {
-    if (!card || card.length < 2) return { rank: '', suit: '', color: '#ccc' };
-    const rank = card[0];
-    const suitCode = card[1];
-    const suitMap = {
-      s: '♠️',
-      h: '♥️',
-      d: '♦️',
-      c: '♣️',
-    };
-    const isRedSuit = suitCode === 'h' || suitCode === 'd';
+  const undoTableEdit = () => {
+    const previous = tableEdits.undo[tableEdits.undo.length - 1];
+    if (!previous) return;
+    const current = lastTable.current;
+    restoreTable(previous);
+    setTableEdits((edits) => ({
+      undo: edits.undo.slice(0, -1),
+      redo: [...edits.redo, current],
+    }));
+  };
+
+  const redoTableEdit = () => {
+    const next = tableEdits.redo[tableEdits.redo.length - 1];
+    if (!next) return;
+    const current = lastTable.current;
+    restoreTable(next);
+    setTableEdits((edits) => ({
+      undo: [...edits.undo, current],
+      redo: edits.redo.slice(0, -1),
+    }));
+  };
+
+  const showUndoSnackbar = (message) => {
+    clearTimeout(snackbarTimer.current);
+    setSnackbar(message);
+    snackbarTimer.current = setTimeout(
+      () => setSnackbar(null),
+      SNACKBAR_DURATION
+    );
+  };
+
+  const undoFromSnackbar = () => {
+    clearTimeout(snackbarTimer.current);
+    setSnackbar(null);
+    undoTableEdit();
+  };
+
+  // Deleting things outside the table cannot be undone, so ask first. Alert
+  // has no buttons on the web
+  const confirmAction = (message, confirmText, onConfirm) => {
+    if (Platform.OS === 'web') {
+      if (window.confirm(message)) onConfirm();
+      return;
+    }
+    Alert.alert(message, undefined, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: confirmText, style: 'destructive', onPress: onConfirm },
+    ]);
+  };
+
+  const clearCards = () => {
+    setPlayers([]);
+    setCommunity(['', '', '', '', '']);
+    setDealer(0);
+    setResults([]);
+    setPots([]);
+    showUndoSnackbar('All players and cards cleared from this session.');
+  };
+
+  // Hands are resized to the current game, as when switching games. Each
+  // session starts with a fresh undo history
+  const openSession = (session, resize = true) => {
+    setActiveSessionId(session.id);
+    restoreTable({
+      players: session.players.map((p) => ({
+        ...p,
+        cards: resize
+          ? Array.from({ length: game.holeCards }, (_, i) => p.cards[i] || '')
+          : p.cards,
+      })),
+      community: session.community,
+      dealer: session.dealer,
+    });
+    setTableEdits({ undo: [], redo: [] });
+  };
+
+  const saveSessionName = () => {
+    const name = sessionName.trim();
+    if (renamingSessionId) {
+      if (name) {
+        setSessions(
+          sessions.map((s) => (s.id === renamingSessionId ? { ...s, name } : s))
+        );
+      }
+      setRenamingSessionId(null);
+    } else {
+      const session = createSession(name || `Table ${sessions.length + 1}`);
+      setSessions([...sessions, session]);
+      openSession(session);
+    }
+    setSessionName('');
+  };
+
+  const startRenamingSession = (session) => {
+    setRenamingSessionId(session.id);
+    setSessionName(session.name);
+  };
+
+  const deleteSession = (id) => {
+    if (sessions.length === 1) {
+      alert('At least one session is needed.');
+      return;
+    }
+    const session = sessions.find((s) => s.id === id);
+    confirmAction(`Delete the session "${session.name}"?`, 'Delete', () => {
+      const remaining = sessions.filter((s) => s.id !== id);
+      setSessions(remaining);
+      if (id === activeSessionId) openSession(remaining[0]);
+    });
+  };
+
+  const activeSession = sessions.find((s) => s.id === activeSessionId);
+
+  const getCardFace = (card) => {
+    const parsed = parseCard(card);
+    if (!parsed) return { rank: '', suit: '', color: '#ccc' };
+    const isRedSuit = parsed.suit === 'h' || parsed.suit === 'd';
     const color = isRedSuit
       ? colors.cardRankRed
       : isDark
         ? '#1f2937'
         : '#1f2937';
-    return { rank, suit: suitMap[suitCode], color };
+    return { rank: parsed.rank, suit: parsed.symbol, color };
   };
 
+  // A training drill's board is already dealt, streets not yet shown included
   const getUsedCards = () => {
     const playerCards = players.flatMap((p) => p.cards);
-    return [...playerCards, ...community].filter(Boolean);
+    const dealtBoard = training ? training.board : [];
+    return [...playerCards, ...community, ...dealtBoard].filter(Boolean);
   };
 
   const openCardPicker = (onSelect) => {
@@ -180,7 +607,27 @@ export default function App() {
 
   const setPlayerCard = (playerIndex, cardIndex, value) => {
     const newPlayers = [...players];
-    newPlayers[playerIndex].cards[cardIndex] = value;
+    newPlayers[playerIndex] = {
+      ...newPlayers[playerIndex],
+      cards: newPlayers[playerIndex].cards.map((c, i) =>
+        i === cardIndex ? value : c
+      ),
+    };
+    setPlayers(newPlayers);
+  };
+
+  // Leaving a text field closes its undo step
+  const endTyping = () => {
+    typingField.current = null;
+  };
+
+  const setPlayerContribution = (playerIndex, value) => {
+    editedField.current = `contribution-${playerIndex}`;
+    const newPlayers = [...players];
+    newPlayers[playerIndex] = {
+      ...newPlayers[playerIndex],
+      contribution: value.replace(/[^0-9]/g, ''),
+    };
     setPlayers(newPlayers);
   };
 
@@ -190,144 +637,1072 @@ export default function App() {
     setCommunity(newCommunity);
   };
 
-  const evaluate = () => {
-    if (players.length < 2) {
-      alert('At least 2 players are required to evaluate.');
+  // Card slots are {player, card} or {board}. The grid fills them in this
+  // order, skipping players entered as a range
+  const entrySlots = () => {
+    let hands = players.flatMap((p, pi) =>
+      p.range ? [] : p.cards.map((c, ci) => ({ player: pi, card: ci }))
+    );
+    if (settings.entryOrder === 'dealing') {
+      // One card at a time to each player, starting left of the dealer
+      const order = (pi) => (pi - dealer - 1 + players.length) % players.length;
+      hands = [...hands].sort(
+        (a, b) => a.card - b.card || order(a.player) - order(b.player)
+      );
+    }
+    const board = game.boardCards
+      ? community.map((c, i) => ({ board: i }))
+      : [];
+    return settings.entryOrder === 'boardFirst'
+      ? [...board, ...hands]
+      : [...hands, ...board];
+  };
+
+  const slotCard = (slot) =>
+    slot.board !== undefined
+      ? community[slot.board]
+      : players[slot.player].cards[slot.card];
+
+  const slotLabel = (slot) => {
+    if (slot.board === undefined) {
+      return `${players[slot.player].name}, card ${slot.card + 1}`;
+    }
+    return slot.board < 3
+      ? `Flop ${slot.board + 1}`
+      : STREET_NAMES[slot.board - 2];
+  };
+
+  const writeSlot = (slot, card) => {
+    if (slot.board !== undefined) {
+      setCommunity(community.map((c, i) => (i === slot.board ? card : c)));
       return;
     }
+    setPlayers(
+      players.map((p, pi) =>
+        pi === slot.player
+          ? {
+              ...p,
+              cards: p.cards.map((c, ci) => (ci === slot.card ? card : c)),
+            }
+          : p
+      )
+    );
+  };
+
+  const pickGridCard = (card) => {
+    const slot = entrySlots().find((s) => !slotCard(s));
+    if (slot && !getUsedCards().includes(card)) editSlot(slot, card);
+  };
+
+  const openCardGrid = () => {
+    setGridHistory({ undo: [], redo: [] });
+    setGridVisible(true);
+  };
+
+  const editSlot = (slot, card) => {
+    const edit = { slot, before: slotCard(slot), after: card };
+    writeSlot(slot, card);
+    setGridHistory((h) => ({ undo: [...h.undo, edit], redo: [] }));
+  };
+
+  const undoGridEdit = () => {
+    const edit = gridHistory.undo[gridHistory.undo.length - 1];
+    if (!edit) return;
+    writeSlot(edit.slot, edit.before);
+    setGridHistory((h) => ({
+      undo: h.undo.slice(0, -1),
+      redo: [...h.redo, edit],
+    }));
+  };
+
+  const redoGridEdit = () => {
+    const edit = gridHistory.redo[gridHistory.redo.length - 1];
+    if (!edit) return;
+    writeSlot(edit.slot, edit.after);
+    setGridHistory((h) => ({
+      undo: [...h.undo, edit],
+      redo: h.redo.slice(0, -1),
+    }));
+  };
+
+  // Every Hold'em holding a hidden hand could be, keeping any card it shows
+  const hiddenCombos = (cards, used) => {
+    const shown = cards.filter(Boolean);
+    return expandRange(
+      RANGE_GRID.flat(),
+      used.filter((c) => !shown.includes(c))
+    ).filter((combo) => shown.every((c) => combo.includes(c)));
+  };
+
+  const togglePlayerUnknown = (playerIndex) => {
+    const newPlayers = [...players];
+    newPlayers[playerIndex] = {
+      ...newPlayers[playerIndex],
+      unknown: !newPlayers[playerIndex].unknown,
+    };
+    setPlayers(newPlayers);
+  };
+
+  // Imported hands mark the players who folded; they fund the pot but cannot
+  // win it
+  const unfoldPlayer = (playerIndex) => {
+    const newPlayers = [...players];
+    const { folded, ...player } = newPlayers[playerIndex];
+    newPlayers[playerIndex] = player;
+    setPlayers(newPlayers);
+  };
 
-    const communityCards = community.filter(Boolean);
-    if (communityCards.length !== 5) {
-      alert('Please select 5 community cards.');
+  // Recalculate equity whenever the cards change and every hand is complete.
+  // It runs once the cards settle and any animation ends, so picking cards
+  // one after another does not wait on it
+  const cardsKey = JSON.stringify([
+    players.map((p) => p.range || [p.cards, !!p.unknown, !!p.folded]),
+    community,
+    game.value,
+    hiLo,
+  ]);
+  const updateEquity = () => {
+    const board = community.filter(Boolean);
+    // Folded hands cannot win; their shown cards are simply out of the deck
+    const live = players.filter((p) => !p.folded);
+    const dead = players.filter((p) => p.folded).flatMap((p) => p.cards);
+    const bySeat = (list) =>
+      players.map((p) => (p.folded ? null : list[live.indexOf(p)]));
+    const handsComplete =
+      live.length >= 2 &&
+      live.every(
+        (p) =>
+          p.range ||
+          (p.cards.length === game.holeCards &&
+            (p.unknown || p.cards.every(Boolean)))
+      );
+    if (!handsComplete) {
+      setEquity(null);
+      setOuts(null);
       return;
     }
 
     try {
-      const hands = players.map((p) => {
-        if (p.cards.some((c) => !c)) throw new Error();
-        const combined = [...p.cards, ...communityCards];
-        const bestHand = Hand.solve(combined);
-        return { ...p, bestHand };
+      if (live.some((p) => p.range)) {
+        // Known cards are removed from every range before dealing
+        const used = getUsedCards();
+        const { players: equities, ...rest } = calculateRangeEquity(
+          live.map((p) =>
+            p.range
+              ? expandRange(p.range, used)
+              : hasHiddenCards(p)
+                ? hiddenCombos(p.cards, used)
+                : [p.cards]
+          ),
+          board,
+          { dead: dead.filter(Boolean) }
+        );
+        setEquity({ ...rest, players: bySeat(equities) });
+        setOuts(null);
+        return;
+      }
+
+      const deck = buildDeck(getUsedCards(), game.ranks);
+      const hands = live.map((p) => p.cards);
+      const { players: equities, ...rest } = calculateEquity(hands, board, {
+        deck,
+        gameMode: game.value,
+        hiLo,
+      });
+      setEquity({ ...rest, players: bySeat(equities) });
+      // Outs only make sense with a street still to come and every hand known
+      if (
+        !live.some(hasHiddenCards) &&
+        (board.length === 3 || board.length === 4)
+      ) {
+        const analysis = analyzeOuts(hands, board, {
+          deck,
+          gameMode: game.value,
+        });
+        setOuts({ ...analysis, players: bySeat(analysis.players) });
+      } else {
+        setOuts(null);
+      }
+    } catch (e) {
+      console.warn('Failed to calculate equity', e);
+      setEquity(null);
+      setOuts(null);
+    }
+  };
+  useEffect(() => {
+    let task = null;
+    const timer = setTimeout(() => {
+      task = InteractionManager.runAfterInteractions(updateEquity);
+    }, EQUITY_DELAY);
+    return () => {
+      clearTimeout(timer);
+      task?.cancel();
+    };
+  }, [cardsKey]);
+
+  // `table` defaults to the players on screen; a recorded betting round
+  // passes them with its chips and folds
+  const evaluate = (table = players) => {
+    if (table.some((p) => p.range)) {
+      alert('Replace ranges with exact hole cards to evaluate a showdown.');
+      return;
+    }
+    try {
+      const outcome = evaluateTable({
+        players: table,
+        community,
+        oddChipRule: settings.oddChipRule,
+        gameMode: game.value,
+        hiLo,
       });
+      setPots(outcome.pots);
+      setResults(outcome.results);
+      // Hidden hands give each player's chance of having been ahead; there
+      // is no single winner to record
+      if (!outcome.hidden) recordHand(outcome, table);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
 
-      const winners = Hand.winners(hands.map((p) => p.bestHand));
+  const recordHand = (outcome, table = players) => {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: Date.now(),
+      sessionId: activeSessionId,
+      sessionName: activeSession?.name || '',
+      gameMode: game.value,
+      hiLo,
+      board: [...community],
+      dealer,
+      players: table.map((p) => ({
+        name: p.name,
+        cards: [...p.cards],
+        contribution: p.contribution || '',
+        ...(p.folded ? { folded: true } : {}),
+        ...(p.unknown ? { unknown: true } : {}),
+      })),
+      results: outcome.results,
+      pots: outcome.pots,
+      betting: table === players ? null : betting,
+    };
+    setHistory((h) => [entry, ...h].slice(0, HISTORY_LIMIT));
+  };
 
-      setResults(
-        hands.map((p) => ({
-          name: p.name,
-          description: p.bestHand.descr,
-          isWinner: winners.includes(p.bestHand),
+  const dealTraining = (seed, hand) => {
+    if (players.length < 2) {
+      alert('Add at least 2 players to deal a hand.');
+      return;
+    }
+    try {
+      const deal = dealHand(players.length, {
+        holeCards: game.holeCards,
+        boardCards: game.boardCards,
+        seed,
+        hand,
+        deckRanks: game.ranks,
+      });
+      setPlayers(
+        players.map((p, i) => ({
+          ...p,
+          range: undefined,
+          cards: deal.hands[i],
         }))
       );
-    } catch {
-      alert('Please ensure all players have 2 cards.');
+      setCommunity(['', '', '', '', '']);
+      setResults([]);
+      setPots([]);
+      setTraining({
+        seed,
+        hand,
+        board: deal.board,
+        street: 0,
+        guessWinner: null,
+        guessRank: null,
+        revealed: false,
+      });
+    } catch (e) {
+      alert(e.message);
     }
   };
 
-  // Share results as image
-  const shareResults = async () => {
-    if (Platform.OS === 'web') {
-      const summary = results.map(r => `${r.name}: ${r.description}${r.isWinner ? ' 🏆' : ''}`).join('\n');
-      navigator.clipboard.writeText(summary);
-      alert('Results copied to clipboard!');
+  // A typed seed replays a shared drill; otherwise a new one is picked
+  const startTraining = () => {
+    const seed = seedText.trim() ? parseInt(seedText, 10) : randomSeed();
+    if (!Number.isFinite(seed) || seed < 0) {
+      alert('The seed must be a whole number.');
       return;
     }
+    setSeedText(String(seed));
+    setTrainingScore({ correct: 0, total: 0 });
+    dealTraining(seed, 0);
+  };
 
-    if (!resultsRef.current) {
-      alert('Nothing to share!');
-      return;
-    }
+  const nextStreet = () => {
+    const street = training.street + 1;
+    setCommunity(
+      Array.from({ length: 5 }, (_, i) =>
+        i < STREET_CARDS[street] ? training.board[i] : ''
+      )
+    );
+    setTraining({ ...training, street });
+  };
 
+  // Training hands are scored but not recorded in the hand history
+  const revealTraining = () => {
     try {
-      const uri = await captureRef(resultsRef, {
-        format: 'png',
-        quality: 1,
+      const outcome = evaluateShowdown({
+        players,
+        community: training.board,
+        oddChipRule: settings.oddChipRule,
+        gameMode: game.value,
+        hiLo,
       });
-      await Sharing.shareAsync(uri);
+      const winners = outcome.results.filter((r) => r.isWinner);
+      const guesses = [];
+      if (training.guessWinner !== null) {
+        guesses.push(!!outcome.results[training.guessWinner]?.isWinner);
+      }
+      if (training.guessRank !== null) {
+        guesses.push(winners[0].handName === training.guessRank);
+      }
+      const correct = guesses.filter(Boolean).length;
+      const total = guesses.length;
+      setCommunity([...training.board]);
+      setResults(outcome.results);
+      setPots(outcome.pots);
+      setTrainingScore((s) => ({
+        correct: s.correct + correct,
+        total: s.total + total,
+      }));
+      setTraining({ ...training, street: 3, revealed: true, correct, total });
     } catch (e) {
-      alert('Failed to share results: ' + e.message);
+      alert(e.message);
     }
   };
 
-  // Updated renderCard using settings.cardSize and settings.showCardSuits
-  const renderCard = (card, onPress) => {
-    const { rank, suit, color } = parseCard(card);
-    const cardWidth =
-      settings.cardSize === 'small'
-        ? 40
-        : settings.cardSize === 'large'
-          ? 70
-          : 50;
-    const cardHeight =
-      settings.cardSize === 'small'
-        ? 56
-        : settings.cardSize === 'large'
-          ? 100
-          : 70;
+  const shareSeed = async () => {
+    const text = `Poker training drill, seed ${training.seed}`;
+    if (Platform.OS === 'web') {
+      navigator.clipboard.writeText(String(training.seed));
+      alert('Seed copied to clipboard!');
+      return;
+    }
+    try {
+      await Share.share({ message: text });
+    } catch (e) {
+      alert('Failed to share seed: ' + e.message);
+    }
+  };
 
-    return (
-      <TouchableOpacity
-        style={[
-          styles.cardContainer,
-          {
-            backgroundColor: '#fff',
-            shadowColor: '#000',
-            width: cardWidth,
-            height: cardHeight,
-          },
-        ]}
-        onPress={onPress}>
-        {rank && (settings.showCardSuits ? suit : true) ? (
-          <>
-            <Text style={[styles.cardRank, { color }]}>{rank}</Text>
-            {settings.showCardSuits && (
-              <Text
-                style={[
-                  styles.cardSuit,
-                  color === colors.cardRankRed && styles.cardSuitRed,
-                ]}>
-                {suit}
-              </Text>
-            )}
-          </>
-        ) : (
-          <Text style={[styles.cardPlaceholder, { color: '#444' }]}>＋</Text>
-        )}
-      </TouchableOpacity>
-    );
+  const bettingStates = betting
+    ? replayBetting(betting.setup, betting.actions)
+    : [];
+  const bettingState = bettingStates[bettingStates.length - 1];
+  const legalActions = bettingState ? getLegalActions(bettingState) : null;
+
+  const streetLabel = (street) =>
+    BETTING_STREETS[street][0].toUpperCase() + BETTING_STREETS[street].slice(1);
+
+  const setPlayerStack = (playerIndex, value) => {
+    editedField.current = `stack-${playerIndex}`;
+    const newPlayers = [...players];
+    newPlayers[playerIndex] = {
+      ...newPlayers[playerIndex],
+      stack: value.replace(/[^0-9]/g, ''),
+    };
+    setPlayers(newPlayers);
   };
 
-  const openNameModal = () => {
-    setNewPlayerName('');
-    setNameModalVisible(true);
+  const startBetting = () => {
+    const setup = {
+      stacks: players.map((p) => parseChips(p.stack)),
+      dealer,
+      smallBlind: parseChips(blinds.smallBlind),
+      bigBlind: parseChips(blinds.bigBlind),
+      ante: parseChips(blinds.ante),
+    };
+    try {
+      createBettingHand(setup);
+      setBetting({ setup, names: players.map((p) => p.name), actions: [] });
+      setBetAmount('');
+      setReplayStep(null);
+    } catch (e) {
+      alert(e.message);
+    }
   };
 
-  const addPlayer = () => {
-    const trimmed = newPlayerName.trim();
-    if (trimmed.length === 0) {
-      alert('Please enter a valid player name.');
+  const recordAction = (type) => {
+    const action =
+      type === 'bet' || type === 'raise'
+        ? { type, amount: parseInt(betAmount, 10) }
+        : { type };
+    try {
+      applyBettingAction(bettingState, action);
+      setBetting({ ...betting, actions: [...betting.actions, action] });
+      setBetAmount('');
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const undoAction = () =>
+    setBetting({ ...betting, actions: betting.actions.slice(0, -1) });
+
+  // Chips from the recorded hand become each player's contribution, and only
+  // players who did not fold show their cards
+  const bettingShowdown = () => {
+    if (betting.names.length !== players.length) {
+      alert('Players were added or removed since the betting was recorded.');
       return;
     }
-    setPlayers([...players, { name: trimmed, cards: ['', ''] }]);
-    setNameModalVisible(false);
+    const table = players.map((p, i) => ({
+      ...p,
+      contribution: String(bettingState.players[i].contribution),
+      folded: bettingState.players[i].folded,
+    }));
+    setPlayers(
+      players.map((p, i) => ({ ...p, contribution: table[i].contribution }))
+    );
+    setBettingVisible(false);
+    evaluate(table);
   };
 
-  const usedCards = getUsedCards();
+  // Everyone else folded: the last player takes every pot without a showdown
+  const awardUncontested = () => {
+    if (betting.names.length !== players.length) {
+      alert('Players were added or removed since the betting was recorded.');
+      return;
+    }
+    const winner = bettingState.winner;
+    const contributions = bettingState.players.map((p) => p.contribution);
+    const { pots: awarded, payouts } = awardPots(
+      buildPots(contributions),
+      () => [winner],
+      settings.oddChipRule
+    );
+    const table = players.map((p, i) => ({
+      ...p,
+      contribution: String(contributions[i]),
+      folded: i !== winner,
+    }));
+    const outcome = {
+      results: table.map((p, i) => ({
+        name: p.name,
+        description: i === winner ? 'Won uncontested' : 'Folded',
+        handName: null,
+        bestCards: null,
+        folded: i !== winner,
+        isWinner: i === winner,
+        explanation: null,
+        contribution: contributions[i],
+        payout: payouts[i] || 0,
+      })),
+      pots: awarded,
+    };
+    setPlayers(
+      players.map((p, i) => ({ ...p, contribution: table[i].contribution }))
+    );
+    setBettingVisible(false);
+    setPots(outcome.pots);
+    setResults(outcome.results);
+    recordHand(outcome, table);
+  };
 
-  const styles = StyleSheet.create({
-    container: {
-      paddingTop: 60,
-      paddingHorizontal: 16,
-      paddingBottom: 40,
-      backgroundColor: 'transparent',
-    },
-    title: {
-      fontSize: 26,
-      fontWeight: 'bold',
-      color: '#fff',
+  // All-in for exactly the amount to call is just a call
+  const shownActions = (legal) =>
+    legal.actions.filter(
+      (type) =>
+        type !== 'allIn' ||
+        !legal.actions.includes('call') ||
+        legal.maxRaiseTo !==
+          bettingState.players[legal.seat].committed + legal.callAmount
+    );
+
+  const actionLabel = (type) =>
+    ({
+      fold: 'Fold',
+      check: 'Check',
+      call: `Call ${legalActions.callAmount}`,
+      bet: 'Bet',
+      raise: 'Raise',
+      allIn: `All-in ${legalActions.maxRaiseTo}`,
+    })[type];
+
+  // Street, board, pot and stacks at one point of a recorded hand
+  const renderBettingState = (state) => (
+    <>
+      <Text style={styles.modalSubtitle}>
+        {streetLabel(state.street)} · Pot {state.pot}
+      </Text>
+      <View style={styles.row}>
+        {community
+          .slice(0, state.street > 3 ? 5 : STREET_CARDS[state.street])
+          .map((c, i) => (
+            <Fragment key={i}>{renderCard(c)}</Fragment>
+          ))}
+      </View>
+      {state.players.map((p, i) => (
+        <Text
+          key={i}
+          style={[
+            styles.resultText,
+            state.toAct === i && styles.winner,
+            p.folded && styles.resultDetail,
+          ]}>
+          {betting.names[i]}: {p.stack}
+          {p.committed > 0 ? ` · in ${p.committed}` : ''}
+          {p.folded ? ' · folded' : p.allIn ? ' · all-in' : ''}
+          {i === betting.setup.dealer ? ' (D)' : ''}
+        </Text>
+      ))}
+      {state.lastAction && (
+        <Text style={styles.resultDetail}>
+          {betting.names[state.lastAction.seat]} {state.lastAction.text}
+        </Text>
+      )}
+    </>
+  );
+
+  // A saved hand replaces the whole table, as opening a link does; hands
+  // saved before the dealer and folds were kept fall back to their results
+  const loadHand = (entry) => {
+    setSettings((s) => ({
+      ...s,
+      gameMode: entry.gameMode || 'holdem',
+      hiLo: !!entry.hiLo,
+    }));
+    setPlayers(
+      entry.players.map((p, i) => ({
+        name: p.name,
+        cards: [...p.cards],
+        contribution: p.contribution || '',
+        ...(p.folded || entry.results[i]?.folded ? { folded: true } : {}),
+        ...(p.unknown || entry.results[i]?.unknown ? { unknown: true } : {}),
+      }))
+    );
+    setCommunity([...entry.board]);
+    setDealer(entry.dealer ?? entry.betting?.setup.dealer ?? 0);
+    setTraining(null);
+    setReplayStep(null);
+    setResults(entry.results);
+    setPots(entry.pots);
+    setBetting(entry.betting || null);
+    setSelectedHandId(null);
+    setHistoryVisible(false);
+  };
+
+  const deleteHand = (id) => {
+    confirmAction('Delete this hand from the history?', 'Delete', () => {
+      setHistory((h) => h.filter((entry) => entry.id !== id));
+      setSelectedHandId(null);
+    });
+  };
+
+  const selectedHand = history.find((entry) => entry.id === selectedHandId);
+
+  const statsEntries =
+    statsScope === 'session'
+      ? history.filter((entry) => entry.sessionId === activeSessionId)
+      : history;
+  const leaderboard = sortPlayerStats(
+    computePlayerStats(statsEntries),
+    statsSort
+  );
+
+  const exportPlayerCsv = async (name) => {
+    const csv = formatPlayerCsv(name, statsEntries);
+    const fileName = `${name.replace(/[^\w-]+/g, '_')}-hands.csv`;
+    if (Platform.OS === 'web') {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      return;
+    }
+    try {
+      await Share.share({ message: csv, title: fileName });
+    } catch (e) {
+      alert('Failed to export CSV: ' + e.message);
+    }
+  };
+
+  const formatNet = (net) => (net > 0 ? `+${net}` : `${net}`);
+
+  // Start from the current table so it can be edited as text
+  const openNotationModal = () => {
+    setNotationText(
+      formatTableNotation(
+        players.map((p) => p.cards),
+        community
+      )
+    );
+    setNotationError(null);
+    setNotationVisible(true);
+  };
+
+  const pasteNotation = async () => {
+    try {
+      setNotationText(await navigator.clipboard.readText());
+    } catch (e) {
+      alert('Failed to read the clipboard: ' + e.message);
+    }
+  };
+
+  // Typed hands replace the first players' cards (adding players as needed)
+  // and a typed board replaces the community cards
+  const applyNotation = () => {
+    try {
+      const rules = {
+        holeCards: game.holeCards,
+        boardCards: game.boardCards,
+        ranks: game.ranks,
+      };
+      const parsed = parseTableNotation(notationText, rules);
+      const hands = parsed.players || [];
+      const kept = [
+        ...players.slice(hands.length).flatMap((p) => p.cards),
+        ...(parsed.community ? [] : community),
+        ...(training ? training.board : []),
+      ];
+      // Parse again to catch clashes with the cards left on the table
+      parseTableNotation(notationText, { ...rules, used: kept });
+
+      setPlayers([
+        ...hands.map((cards, i) =>
+          players[i]
+            ? { ...players[i], cards, range: undefined }
+            : { name: `Player ${i + 1}`, cards }
+        ),
+        ...players.slice(hands.length),
+      ]);
+      if (parsed.community) setCommunity(parsed.community);
+      setResults([]);
+      setPots([]);
+      setNotationVisible(false);
+    } catch (e) {
+      setNotationError(e.message);
+    }
+  };
+
+  const openImportModal = () => {
+    setImportText('');
+    setImportErrors([]);
+    setImportVisible(true);
+  };
+
+  const importHand = () => {
+    try {
+      const hand = parsePokerStarsHand(importText);
+      const holeCards = hand.players[0].cards.length;
+      const mode =
+        GAME_MODES.find(
+          (g) =>
+            g.holeCards === holeCards && hand.game.startsWith(g.historyLabel)
+        ) || GAME_MODES.find((g) => g.holeCards === holeCards && !g.shortDeck);
+      if (!mode) {
+        setImportErrors([
+          { line: 1, message: `${holeCards}-card hands are not supported.` },
+        ]);
+        return;
+      }
+      setSettings((s) => ({ ...s, gameMode: mode.value }));
+      setPlayers(
+        hand.players.map(({ name, cards, contribution, folded, unknown }) => ({
+          name,
+          cards,
+          contribution,
+          ...(folded ? { folded } : {}),
+          ...(unknown ? { unknown } : {}),
+        }))
+      );
+      setCommunity(hand.community);
+      setDealer(0);
+      setResults([]);
+      setPots([]);
+      setImportVisible(false);
+    } catch (e) {
+      setImportErrors(e.errors || [{ line: 1, message: e.message }]);
+    }
+  };
+
+  // Export the table and results as PokerStars-style hand history text
+  const exportHand = async () => {
+    const text = formatPokerStarsHand({
+      players,
+      community,
+      results,
+      game: game.historyLabel,
+    });
+    if (Platform.OS === 'web') {
+      navigator.clipboard.writeText(text);
+      alert('Hand history copied to clipboard!');
+      return;
+    }
+
+    try {
+      await Share.share({ message: text });
+    } catch (e) {
+      alert('Failed to export hand history: ' + e.message);
+    }
+  };
+
+  const shareTableLink = async () => {
+    const url = formatTableLink(
+      {
+        players,
+        community,
+        gameMode: game.value,
+        hiLo,
+        dealer,
+        showResults: results.length > 0,
+      },
+      Platform.OS === 'web'
+        ? `${window.location.origin}${window.location.pathname}`
+        : TABLE_LINK_BASE
+    );
+    if (Platform.OS === 'web') {
+      navigator.clipboard.writeText(url);
+      alert('Link copied to clipboard!');
+      return;
+    }
+    try {
+      await Share.share({ message: url });
+    } catch (e) {
+      alert('Failed to share link: ' + e.message);
+    }
+  };
+
+  // A link replaces the table in the active session; its results are worked
+  // out again rather than trusted
+  const openTableLink = (url) => {
+    if (!/[?&]v=/.test(url)) return;
+    if (Platform.OS === 'web') {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    try {
+      const table = parseTableLink(url);
+      const linkGame = getGameMode(table.gameMode);
+      // Stud has no board, so only the hands need to be complete there
+      const complete =
+        table.community.filter(Boolean).length === linkGame.boardCards &&
+        table.players.every(
+          (p) => p.folded || (!p.range && (p.unknown || p.cards.every(Boolean)))
+        );
+      const outcome =
+        table.showResults && complete
+          ? evaluateTable({
+              ...table,
+              hiLo: table.hiLo && !linkGame.lowball && !linkGame.shortDeck,
+              oddChipRule: settings.oddChipRule,
+            })
+          : { results: [], pots: [] };
+      setSettings((s) => ({
+        ...s,
+        gameMode: table.gameMode,
+        hiLo: table.hiLo,
+      }));
+      setPlayers(table.players);
+      setCommunity(table.community);
+      setDealer(table.dealer);
+      setTraining(null);
+      setBetting(null);
+      setResults(outcome.results);
+      setPots(outcome.pots);
+    } catch (e) {
+      alert('Could not open this link: ' + e.message);
+    }
+  };
+
+  const shareLayout =
+    SHARE_LAYOUTS.find((l) => l.value === settings.shareLayout) ||
+    SHARE_LAYOUTS[0];
+
+  const copyResultsText = () => {
+    const summary = results
+      .map(
+        (r) =>
+          `${r.name}: ${r.description}${r.isWinner ? ' 🏆' : ''}${r.explanation ? ` (${r.explanation})` : ''}${r.low !== undefined ? ` / ${lowLabel(r)}` : ''}${r.payout !== null ? ` (${formatPayout(r)})` : ''}`
+      )
+      .join('\n');
+    navigator.clipboard.writeText(summary);
+    alert('Results copied to clipboard!');
+  };
+
+  // Share the offscreen card as an image; on the web it is downloaded
+  const shareResults = async () => {
+    if (!shareCardRef.current) {
+      alert('Nothing to share!');
+      return;
+    }
+
+    try {
+      const uri = await captureRef(shareCardRef, {
+        format: 'png',
+        quality: 1,
+        width: shareLayout.width * SHARE_SCALE,
+        height: shareLayout.height * SHARE_SCALE,
+        result: Platform.OS === 'web' ? 'data-uri' : 'tmpfile',
+      });
+      if (Platform.OS === 'web') {
+        const link = document.createElement('a');
+        link.href = uri;
+        link.download = `poker-results-${shareLayout.value}.png`;
+        link.click();
+      } else {
+        await Sharing.shareAsync(uri);
+      }
+      setShareVisible(false);
+    } catch (e) {
+      alert('Failed to share results: ' + e.message);
+    }
+  };
+
+  const formatPayout = (r) => {
+    const net = r.payout - r.contribution;
+    return `wins ${r.payout}, net ${net >= 0 ? '+' : ''}${net}`;
+  };
+
+  const potLabel = (index) => (index === 0 ? 'Main pot' : `Side pot ${index}`);
+
+  // Cards making up the winning hands, highlighted on the table
+  const winningCardsOf = (handResults) =>
+    new Set(
+      handResults.filter((r) => r.isWinner).flatMap((r) => r.bestCards || [])
+    );
+  const winningCards = winningCardsOf(results);
+  const selectedWinningCards = winningCardsOf(selectedHand?.results || []);
+
+  const lowLabel = (r) =>
+    `Low: ${r.low ? r.low.description : 'none'}${r.isLowWinner ? ' 🏆' : ''}`;
+
+  // Updated renderCard using settings.cardSize and settings.showCardSuits
+  const renderCard = (
+    card,
+    onPress,
+    highlighted = false,
+    size = settings.cardSize,
+    faceDown = false
+  ) => {
+    const { rank, suit, color } = getCardFace(card);
+    const cardWidth = size === 'small' ? 40 : size === 'large' ? 70 : 50;
+    const cardHeight = size === 'small' ? 56 : size === 'large' ? 100 : 70;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.cardContainer,
+          {
+            backgroundColor: '#fff',
+            shadowColor: '#000',
+            width: cardWidth,
+            height: cardHeight,
+          },
+          faceDown && styles.cardFaceDown,
+          highlighted && styles.cardHighlighted,
+        ]}
+        onPress={onPress}>
+        {rank && (settings.showCardSuits ? suit : true) ? (
+          <>
+            <Text style={[styles.cardRank, { color }]}>{rank}</Text>
+            {settings.showCardSuits && (
+              <Text
+                style={[
+                  styles.cardSuit,
+                  color === colors.cardRankRed && styles.cardSuitRed,
+                ]}>
+                {suit}
+              </Text>
+            )}
+          </>
+        ) : (
+          <Text style={[styles.cardPlaceholder, { color: '#444' }]}>＋</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderUndoRedo = () => (
+    <View style={styles.optionRow}>
+      <TouchableOpacity
+        onPress={undoTableEdit}
+        disabled={tableEdits.undo.length === 0}
+        style={[
+          styles.optionButton,
+          tableEdits.undo.length === 0 && styles.disabledButton,
+        ]}>
+        <Text style={styles.optionText}>Undo</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        onPress={redoTableEdit}
+        disabled={tableEdits.redo.length === 0}
+        style={[
+          styles.optionButton,
+          tableEdits.redo.length === 0 && styles.disabledButton,
+        ]}>
+        <Text style={styles.optionText}>Redo</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  // Switching games resizes every player's hand to the new hole card count
+  // and drops cards the new deck does not have
+  const setGameMode = (mode) => {
+    const next = getGameMode(mode);
+    const keep = (card) => (card && next.ranks.includes(card[0]) ? card : '');
+    setSettings((s) => ({ ...s, gameMode: mode }));
+    setPlayers(
+      players.map((p) => ({
+        ...p,
+        range: usesRanges(next) ? p.range : undefined,
+        cards: Array.from({ length: next.holeCards }, (_, i) =>
+          keep(p.cards[i])
+        ),
+      }))
+    );
+    // Stud has no board
+    setCommunity(community.map((c) => (next.boardCards ? keep(c) : '')));
+    if (!next.boardCards) setTraining(null);
+    setResults([]);
+    setPots([]);
+  };
+
+  const openRangeEditor = (playerIndex) => {
+    setRangePlayer(playerIndex);
+    setRangeText(players[playerIndex].range || '');
+  };
+
+  // Parse the typed range; the grid and Apply button use the result
+  let rangeClasses = [];
+  let rangeError = null;
+  try {
+    rangeClasses = parseRange(rangeText);
+  } catch (e) {
+    rangeError = e.message;
+  }
+
+  const toggleRangeHand = (hand) => {
+    const next = rangeClasses.includes(hand)
+      ? rangeClasses.filter((h) => h !== hand)
+      : [...rangeClasses, hand];
+    setRangeText(formatRange(next));
+  };
+
+  // A range replaces the player's hole cards until it is cleared
+  const applyRange = (range) => {
+    setPlayers(
+      players.map((p, i) =>
+        i === rangePlayer
+          ? {
+              ...p,
+              range: range || undefined,
+              cards: range ? Array(game.holeCards).fill('') : p.cards,
+            }
+          : p
+      )
+    );
+    setResults([]);
+    setPots([]);
+    setRangePlayer(null);
+  };
+
+  // Swap a player with the seat before or after; the dealer button stays
+  // with the player who has it
+  const movePlayer = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= players.length) return;
+    const next = [...players];
+    [next[index], next[target]] = [next[target], next[index]];
+    setPlayers(next);
+    if (dealer === index) setDealer(target);
+    else if (dealer === target) setDealer(index);
+    setResults([]);
+    setPots([]);
+  };
+
+  // The button passes to the next seat when the dealer is removed
+  const removePlayer = (index) => {
+    const remaining = players.length - 1;
+    setPlayers(players.filter((_, i) => i !== index));
+    if (dealer > index) setDealer(dealer - 1);
+    else if (dealer === index) setDealer(remaining ? index % remaining : 0);
+    setResults([]);
+    setPots([]);
+    showUndoSnackbar(`${players[index].name} removed.`);
+  };
+
+  const toggleHiLo = () => {
+    setSettings((s) => ({ ...s, hiLo: !s.hiLo }));
+    setResults([]);
+    setPots([]);
+  };
+
+  const openNameModal = () => {
+    setRenamingIndex(null);
+    setNewPlayerName('');
+    setNameModalVisible(true);
+  };
+
+  const openRenameModal = (index) => {
+    setRenamingIndex(index);
+    setNewPlayerName(players[index].name);
+    setNameModalVisible(true);
+  };
+
+  const addPlayer = () => {
+    const trimmed = newPlayerName.trim();
+    if (trimmed.length === 0) {
+      alert('Please enter a valid player name.');
+      return;
+    }
+    if (renamingIndex !== null) {
+      setPlayers(
+        players.map((p, i) =>
+          i === renamingIndex ? { ...p, name: trimmed } : p
+        )
+      );
+      setNameModalVisible(false);
+      return;
+    }
+    setPlayers([
+      ...players,
+      { name: trimmed, cards: Array(game.holeCards).fill('') },
+    ]);
+    setNameModalVisible(false);
+  };
+
+  const usedCards = getUsedCards();
+  const nextSlot = gridVisible ? entrySlots().find((s) => !slotCard(s)) : null;
+
+  const styles = StyleSheet.create({
+    container: {
+      paddingTop: 60,
+      paddingHorizontal: 16,
+      paddingBottom: 40,
+      backgroundColor: 'transparent',
+    },
+    title: {
+      fontSize: 26,
+      fontWeight: 'bold',
+      color: '#fff',
       textAlign: 'center',
       marginBottom: 20,
     },
+    subtitle: {
+      fontSize: 16,
+      color: colors.textSecondary,
+      textAlign: 'center',
+      marginTop: -14,
+      marginBottom: 16,
+    },
+    sessionLink: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      textAlign: 'center',
+      textDecorationLine: 'underline',
+      marginBottom: 12,
+    },
     label: {
       fontSize: 16,
       color: colors.textSecondary,
@@ -351,6 +1726,68 @@ export default function App() {
       shadowRadius: 4,
       elevation: 3,
     },
+    cardHighlighted: {
+      borderWidth: 3,
+      borderColor: 'limegreen',
+    },
+    cardFaceDown: {
+      borderWidth: 2,
+      borderStyle: 'dashed',
+      borderColor: '#808080',
+    },
+    shareOffscreen: {
+      position: 'absolute',
+      left: -10000,
+      top: 0,
+    },
+    shareCard: {
+      flex: 1,
+      padding: 16,
+      overflow: 'hidden',
+    },
+    shareTitle: {
+      fontSize: 20,
+      fontWeight: '700',
+      color: '#fff',
+      textAlign: 'center',
+      marginBottom: 8,
+    },
+    shareSeats: {
+      flex: 1,
+      marginTop: 8,
+      gap: 8,
+    },
+    shareSeatsGrid: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+    },
+    shareSeat: {
+      backgroundColor: isDark ? '#ffffff14' : '#ffffff26',
+      borderRadius: 10,
+      padding: 6,
+    },
+    shareSeatHalf: {
+      width: '48%',
+    },
+    shareSeatWinner: {
+      borderWidth: 2,
+      borderColor: 'limegreen',
+    },
+    shareName: {
+      fontSize: 14,
+      fontWeight: '700',
+      color: '#fff',
+    },
+    shareDetail: {
+      fontSize: 12,
+      color: colors.textSecondary,
+    },
+    shareFooter: {
+      fontSize: 11,
+      color: colors.textSecondary,
+      textAlign: 'center',
+      opacity: 0.8,
+    },
     cardRank: {
       fontSize: 22,
       fontWeight: 'bold',
@@ -370,6 +1807,38 @@ export default function App() {
       borderBottomColor: isDark ? '#444' : '#444',
       borderBottomWidth: 1,
     },
+    playerHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+      marginBottom: 6,
+    },
+    dealerButton: {
+      width: 24,
+      height: 24,
+      borderRadius: 12,
+      alignItems: 'center',
+      justifyContent: 'center',
+      borderWidth: 1,
+      borderColor: '#808080',
+    },
+    dealerButtonActive: {
+      backgroundColor: '#fff',
+      borderColor: '#fff',
+    },
+    dealerButtonText: {
+      fontSize: 12,
+      fontWeight: 'bold',
+      color: '#808080',
+    },
+    sessionItem: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 12,
+      paddingVertical: 8,
+      borderBottomColor: isDark ? '#444' : '#ddd',
+      borderBottomWidth: 1,
+    },
     playerName: {
       fontSize: 18,
       fontWeight: '600',
@@ -406,6 +1875,12 @@ export default function App() {
       marginBottom: 6,
       color: colors.textPrimary,
     },
+    resultDetail: {
+      fontSize: 13,
+      marginTop: -4,
+      marginBottom: 6,
+      color: isDark ? '#999' : '#666',
+    },
     winner: {
       color: 'limegreen',
       fontWeight: 'bold',
@@ -490,20 +1965,161 @@ export default function App() {
     disabledButton: {
       backgroundColor: isDark ? '#555' : '#ddd',
     },
-    disabledText: {
-      color: isDark ? '#999' : '#999',
+    chipInput: {
+      marginTop: 4,
+      paddingVertical: 6,
+      maxWidth: 160,
     },
-  });
-
-  return (
-    <LinearGradient colors={colors.backgroundGradient} style={{ flex: 1 }}>
-      <StatusBar style={'light'} />
-
-      {/* Gear Icon button */}
-      <TouchableOpacity
-        style={{ position: 'absolute', top: 50, right: 16, zIndex: 10 }}
-        onPress={() => setSettingsVisible(true)}
-        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+    importInput: {
+      minHeight: 160,
+      maxHeight: 260,
+      fontSize: 13,
+      textAlignVertical: 'top',
+    },
+    errorText: {
+      color: colors.buttonDanger,
+      fontSize: 14,
+      marginBottom: 4,
+    },
+    rangeCell: {
+      width: 26,
+      height: 22,
+      margin: 1,
+      borderRadius: 3,
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: isDark ? '#444' : '#eee',
+    },
+    rangeCellSelected: {
+      backgroundColor: '#38bdf8',
+    },
+    rangeCellText: {
+      fontSize: 9,
+      color: isDark ? '#fff' : '#000',
+    },
+    optionRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      gap: 6,
+      marginBottom: 10,
+    },
+    optionButton: {
+      paddingVertical: 6,
+      paddingHorizontal: 10,
+      borderRadius: 10,
+      backgroundColor: isDark ? '#444' : '#eee',
+    },
+    optionButtonActive: {
+      backgroundColor: '#38bdf8',
+    },
+    optionText: {
+      fontWeight: '600',
+      color: isDark ? '#fff' : '#000',
+    },
+    optionTextActive: {
+      color: '#fff',
+    },
+    historyItem: {
+      paddingVertical: 8,
+      borderBottomColor: isDark ? '#444' : '#ddd',
+      borderBottomWidth: 1,
+    },
+    historyBoard: {
+      fontSize: 14,
+      color: isDark ? '#999' : '#666',
+    },
+    disabledText: {
+      color: isDark ? '#999' : '#999',
+    },
+    gridRow: {
+      flexDirection: 'row',
+      gap: 2,
+      marginBottom: 2,
+    },
+    gridCell: {
+      flex: 1,
+      paddingVertical: 8,
+      borderRadius: 4,
+      alignItems: 'center',
+      backgroundColor: '#fff',
+    },
+    gridCellText: {
+      fontSize: 12,
+      fontWeight: '700',
+    },
+    gridSlots: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: 4,
+      marginBottom: 4,
+    },
+    gridSlotName: {
+      width: 70,
+    },
+    gridSlot: {
+      minWidth: 32,
+      paddingVertical: 4,
+      paddingHorizontal: 4,
+      borderRadius: 4,
+      alignItems: 'center',
+      backgroundColor: '#fff',
+      borderWidth: 2,
+      borderColor: 'transparent',
+    },
+    gridSlotNext: {
+      borderColor: '#38bdf8',
+    },
+    snackbar: {
+      position: 'absolute',
+      left: 16,
+      right: 16,
+      bottom: 24,
+      zIndex: 20,
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 12,
+      paddingHorizontal: 16,
+      borderRadius: 8,
+      backgroundColor: '#323232',
+    },
+    snackbarText: {
+      flex: 1,
+      marginRight: 12,
+      color: '#fff',
+    },
+    snackbarAction: {
+      color: '#38bdf8',
+      fontWeight: '700',
+    },
+  });
+
+  return (
+    <LinearGradient colors={colors.backgroundGradient} style={{ flex: 1 }}>
+      <StatusBar style={'light'} />
+
+      {/* Leaderboard Icon button */}
+      <TouchableOpacity
+        style={{ position: 'absolute', top: 50, right: 96, zIndex: 10 }}
+        onPress={() => setStatsVisible(true)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+        <MaterialIcons name="leaderboard" size={28} color="#808080" />
+      </TouchableOpacity>
+
+      {/* History Icon button */}
+      <TouchableOpacity
+        style={{ position: 'absolute', top: 50, right: 56, zIndex: 10 }}
+        onPress={() => setHistoryVisible(true)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+        <MaterialIcons name="history" size={28} color="#808080" />
+      </TouchableOpacity>
+
+      {/* Gear Icon button */}
+      <TouchableOpacity
+        style={{ position: 'absolute', top: 50, right: 16, zIndex: 10 }}
+        onPress={() => setSettingsVisible(true)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
         <MaterialIcons name="settings" size={28} color="#808080" />
       </TouchableOpacity>
 
@@ -511,26 +2127,131 @@ export default function App() {
         contentContainerStyle={styles.container}
         keyboardShouldPersistTaps="handled">
         <Text style={styles.title}>♠ Texas Hold'em Evaluator</Text>
+        {(game.value !== 'holdem' || hiLo) && (
+          <Text style={styles.subtitle}>
+            {game.mustUseHole ? `Pot-Limit Omaha · ${game.label}` : game.label}
+            {hiLo ? ' · Hi-Lo 8 or Better' : ''}
+          </Text>
+        )}
+        <TouchableOpacity onPress={() => setSessionsVisible(true)}>
+          <Text style={styles.sessionLink}>
+            Session: {activeSession?.name || '…'} ▾
+          </Text>
+        </TouchableOpacity>
+        {renderUndoRedo()}
 
-        <Text style={styles.label}>Community Cards</Text>
-        <View style={styles.row}>
-          {community.map((c, i) =>
-            renderCard(c, () =>
-              openCardPicker((card) => setCommunityCard(i, card))
-            )
-          )}
-        </View>
+        {game.boardCards > 0 && (
+          <>
+            <Text style={styles.label}>Community Cards</Text>
+            <View style={styles.row}>
+              {community.map((c, i) => (
+                <Fragment key={i}>
+                  {renderCard(
+                    c,
+                    () => openCardPicker((card) => setCommunityCard(i, card)),
+                    winningCards.has(c)
+                  )}
+                </Fragment>
+              ))}
+            </View>
+          </>
+        )}
 
         {players.map((p, pi) => (
           <View key={pi} style={styles.playerSection}>
-            <Text style={styles.playerName}>{p.name}</Text>
-            <View style={styles.row}>
-              {p.cards.map((c, ci) =>
-                renderCard(c, () =>
-                  openCardPicker((card) => setPlayerCard(pi, ci, card))
-                )
-              )}
+            <View style={styles.playerHeader}>
+              <Text style={[styles.playerName, { marginBottom: 0 }]}>
+                {p.name}
+              </Text>
+              <TouchableOpacity
+                onPress={() => setDealer(pi)}
+                style={[
+                  styles.dealerButton,
+                  dealer === pi && styles.dealerButtonActive,
+                ]}>
+                <Text style={styles.dealerButtonText}>D</Text>
+              </TouchableOpacity>
+              <View style={{ flex: 1 }} />
+              <TouchableOpacity onPress={() => movePlayer(pi, -1)}>
+                <MaterialIcons name="arrow-upward" size={22} color="#808080" />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => movePlayer(pi, 1)}>
+                <MaterialIcons
+                  name="arrow-downward"
+                  size={22}
+                  color="#808080"
+                />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => openRenameModal(pi)}>
+                <MaterialIcons name="edit" size={22} color="#808080" />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => removePlayer(pi)}>
+                <MaterialIcons
+                  name="delete"
+                  size={22}
+                  color={colors.buttonDanger}
+                />
+              </TouchableOpacity>
             </View>
+            {p.range ? (
+              <TouchableOpacity onPress={() => openRangeEditor(pi)}>
+                <Text style={styles.resultText}>
+                  Range: {p.range} ({expandRange(p.range).length} combos)
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <View style={styles.row}>
+                {p.cards.map((c, ci) => (
+                  <Fragment key={ci}>
+                    {renderCard(
+                      c,
+                      () =>
+                        openCardPicker((card) => setPlayerCard(pi, ci, card)),
+                      winningCards.has(c),
+                      settings.cardSize,
+                      game.upCards && !game.upCards[ci]
+                    )}
+                  </Fragment>
+                ))}
+              </View>
+            )}
+            {game.upCards && (
+              <Text style={styles.resultDetail}>
+                Dashed cards are dealt face down
+              </Text>
+            )}
+            {p.folded && (
+              <TouchableOpacity onPress={() => unfoldPlayer(pi)}>
+                <Text style={styles.resultDetail}>
+                  Folded: cannot win the pot (tap to undo)
+                </Text>
+              </TouchableOpacity>
+            )}
+            {!p.range && !p.folded && (
+              <TouchableOpacity onPress={() => togglePlayerUnknown(pi)}>
+                <Text style={styles.resultDetail}>
+                  {p.unknown
+                    ? 'Cards not shown: empty slots are random (tap to undo)'
+                    : 'Mark cards as not shown'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {usesRanges(game) && (
+              <TouchableOpacity onPress={() => openRangeEditor(pi)}>
+                <Text style={styles.resultDetail}>
+                  {p.range ? 'Edit range' : 'Use a range instead'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TextInput
+              style={[styles.input, styles.chipInput]}
+              value={p.contribution || ''}
+              onChangeText={(value) => setPlayerContribution(pi, value)}
+              onBlur={endTyping}
+              placeholder="Chips in pot"
+              placeholderTextColor={isDark ? '#666' : '#999'}
+              keyboardType="number-pad"
+            />
           </View>
         ))}
 
@@ -538,7 +2259,144 @@ export default function App() {
           <Text style={styles.buttonText}>Add Player</Text>
         </TouchableOpacity>
 
-        <TouchableOpacity style={styles.button} onPress={evaluate}>
+        <TouchableOpacity style={styles.button} onPress={openCardGrid}>
+          <Text style={styles.buttonText}>Card Grid</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.button} onPress={openNotationModal}>
+          <Text style={styles.buttonText}>Type Cards</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.button} onPress={shareTableLink}>
+          <Text style={styles.buttonText}>Share Table Link</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.button} onPress={openImportModal}>
+          <Text style={styles.buttonText}>Import Hand History</Text>
+        </TouchableOpacity>
+
+        {game.boardCards > 0 && (
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => setBettingVisible(true)}>
+            <Text style={styles.buttonText}>Record Betting</Text>
+          </TouchableOpacity>
+        )}
+
+        {training ? (
+          <View style={styles.results}>
+            <Text style={styles.resultTitle}>Training</Text>
+            <Text style={styles.resultDetail}>
+              Seed {training.seed} · Hand {training.hand + 1} · Score{' '}
+              {trainingScore.correct}/{trainingScore.total}
+            </Text>
+            {training.revealed ? (
+              <>
+                <Text style={styles.resultText}>
+                  {training.total > 0
+                    ? `${training.correct} of ${training.total} guesses correct`
+                    : 'No guesses made this hand'}
+                </Text>
+                <TouchableOpacity
+                  style={styles.button}
+                  onPress={() =>
+                    dealTraining(training.seed, training.hand + 1)
+                  }>
+                  <Text style={styles.buttonText}>Deal Next Hand</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={styles.modalSubtitle}>Who wins?</Text>
+                <View style={styles.optionRow}>
+                  {players.map((p, i) => (
+                    <TouchableOpacity
+                      key={i}
+                      onPress={() =>
+                        setTraining({ ...training, guessWinner: i })
+                      }
+                      style={[
+                        styles.optionButton,
+                        training.guessWinner === i && styles.optionButtonActive,
+                      ]}>
+                      <Text
+                        style={[
+                          styles.optionText,
+                          training.guessWinner === i && styles.optionTextActive,
+                        ]}>
+                        {p.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.modalSubtitle}>With what hand?</Text>
+                <View style={styles.optionRow}>
+                  {[...HAND_CATEGORIES].reverse().map((name) => (
+                    <TouchableOpacity
+                      key={name}
+                      onPress={() =>
+                        setTraining({ ...training, guessRank: name })
+                      }
+                      style={[
+                        styles.optionButton,
+                        training.guessRank === name &&
+                          styles.optionButtonActive,
+                      ]}>
+                      <Text
+                        style={[
+                          styles.optionText,
+                          training.guessRank === name &&
+                            styles.optionTextActive,
+                        ]}>
+                        {name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {training.street < 3 && (
+                  <TouchableOpacity style={styles.button} onPress={nextStreet}>
+                    <Text style={styles.buttonText}>
+                      Show {STREET_NAMES[training.street]}
+                    </Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                  style={styles.button}
+                  onPress={revealTraining}>
+                  <Text style={styles.buttonText}>Reveal</Text>
+                </TouchableOpacity>
+              </>
+            )}
+            <TouchableOpacity style={styles.button} onPress={shareSeed}>
+              <Text style={styles.buttonText}>Share Seed</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: colors.buttonDanger }]}
+              onPress={() => setTraining(null)}>
+              <Text style={styles.buttonText}>End Training</Text>
+            </TouchableOpacity>
+          </View>
+        ) : game.boardCards > 0 ? (
+          <>
+            <TextInput
+              style={styles.input}
+              value={seedText}
+              onChangeText={setSeedText}
+              placeholder="Drill seed (blank for random)"
+              placeholderTextColor={isDark ? '#666' : '#999'}
+              keyboardType="number-pad"
+            />
+            <TouchableOpacity style={styles.button} onPress={startTraining}>
+              <Text style={styles.buttonText}>Start Training</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <Text style={styles.resultDetail}>
+            Training deals a board, so it is not available in {game.label}.
+          </Text>
+        )}
+
+        <TouchableOpacity style={styles.button} onPress={() => evaluate()}>
           <Text style={styles.buttonText}>Evaluate Winner</Text>
         </TouchableOpacity>
 
@@ -548,22 +2406,154 @@ export default function App() {
           <Text style={styles.buttonText}>Clear Cards</Text>
         </TouchableOpacity>
 
-        {results.length > 0 && (
+        {(results.length > 0 || (equity && !training)) && (
           <>
-            <View ref={resultsRef} collapsable={false} style={styles.results}>
+            <View style={styles.results}>
               <Text style={styles.resultTitle}>Results</Text>
               {results.map((r, i) => (
-                <Text
-                  key={i}
-                  style={[styles.resultText, r.isWinner && styles.winner]}>
-                  {r.name}: {r.description} {r.isWinner ? '🏆' : ''}
-                </Text>
+                <View key={i}>
+                  <Text
+                    style={[styles.resultText, r.isWinner && styles.winner]}>
+                    {r.name}: {r.description} {r.isWinner ? '🏆' : ''}
+                    {r.scoop ? ' Scoop!' : ''}
+                    {r.quartered ? ' Quartered' : ''}
+                    {r.payout !== null ? ` (${formatPayout(r)})` : ''}
+                  </Text>
+                  {r.bestCards && (
+                    <Text style={styles.resultDetail}>
+                      Best five: {r.bestCards.join(' ')}
+                    </Text>
+                  )}
+                  {r.holeCardsUsed && game.boardCards > 0 && (
+                    <Text style={styles.resultDetail}>
+                      Hole: {r.holeCardsUsed.join(' ') || 'none'} · Board:{' '}
+                      {r.boardCardsUsed.join(' ') || 'none'}
+                    </Text>
+                  )}
+                  {r.explanation && (
+                    <Text style={[styles.resultDetail, styles.winner]}>
+                      {r.explanation}
+                    </Text>
+                  )}
+                  {r.ahead && (
+                    <Text style={styles.resultDetail}>
+                      Ahead {r.ahead.win.toFixed(1)}% · tied{' '}
+                      {r.ahead.tie.toFixed(1)}% of the hands that could have
+                      been shown
+                    </Text>
+                  )}
+                  {r.low !== undefined && (
+                    <Text
+                      style={[
+                        styles.resultDetail,
+                        r.isLowWinner && styles.winner,
+                      ]}>
+                      {lowLabel(r)}
+                      {r.low
+                        ? ` · Hole: ${r.low.holeCardsUsed.join(' ')} · Board: ${r.low.boardCardsUsed.join(' ')}`
+                        : ''}
+                    </Text>
+                  )}
+                </View>
               ))}
+              {results.length > 0 &&
+                results[0].low !== undefined &&
+                !results.some((r) => r.isLowWinner) && (
+                  <Text style={styles.resultDetail}>
+                    No qualifying low: the high hand takes the whole pot.
+                  </Text>
+                )}
+
+              {pots.length > 0 && (
+                <>
+                  <Text style={styles.modalSubtitle}>Pots</Text>
+                  {pots.map((pot, i) => (
+                    <Text key={i} style={styles.resultText}>
+                      {potLabel(i)}: {pot.amount} →{' '}
+                      {pot.lowWinners?.length ? 'High: ' : ''}
+                      {pot.winners.map((w) => players[w]?.name).join(', ')}
+                      {pot.lowWinners?.length
+                        ? ` · Low: ${pot.lowWinners.map((w) => players[w]?.name).join(', ')}`
+                        : ''}
+                      {pot.oddChips > 0
+                        ? ` (${pot.oddChips} odd chip${pot.oddChips > 1 ? 's' : ''})`
+                        : ''}
+                    </Text>
+                  ))}
+                </>
+              )}
+
+              {equity && !training && (
+                <>
+                  <Text style={styles.modalSubtitle}>
+                    Equity ({equity.exact ? 'exact' : 'sampled'},{' '}
+                    {equity.runouts} runouts)
+                  </Text>
+                  {players.map((p, i) => {
+                    const e = equity.players[i];
+                    if (!e) return null;
+                    return (
+                      <Text key={i} style={styles.resultText}>
+                        {p.name}: {hiLo ? 'Scoop' : 'Win'} {e.win.toFixed(1)}% ·{' '}
+                        {hiLo ? 'Split' : 'Tie'} {e.tie.toFixed(1)}% · Lose{' '}
+                        {e.lose.toFixed(1)}%
+                        {hiLo ? ` · Pot share ${e.share.toFixed(1)}%` : ''}
+                      </Text>
+                    );
+                  })}
+                </>
+              )}
+
+              {outs && !training && (
+                <>
+                  <Text style={styles.modalSubtitle}>
+                    Outs on the {outs.street} ({outs.unseen} unseen cards)
+                  </Text>
+                  {players.map((p, i) => {
+                    const o = outs.players[i];
+                    if (!o) return null;
+                    if (o.drawingDead) {
+                      return (
+                        <Text key={i} style={styles.errorText}>
+                          {p.name}: drawing dead
+                        </Text>
+                      );
+                    }
+                    return (
+                      <View key={i}>
+                        <Text style={styles.resultText}>
+                          {o.leading
+                            ? `${p.name}: ahead, stays ahead on ${o.outs} of ${outs.unseen} cards`
+                            : `${p.name}: ${o.outs} out${o.outs === 1 ? '' : 's'} · rule of ${outs.street === 'flop' ? 4 : 2} ≈ ${o.estimate}% · exact ${o.exact.toFixed(1)}%`}
+                        </Text>
+                        {!o.leading &&
+                          o.groups.map((g) => (
+                            <Text key={g.name} style={styles.resultDetail}>
+                              {g.name}: {g.cards.join(' ')}
+                            </Text>
+                          ))}
+                        {o.splitOuts.length > 0 && (
+                          <Text style={styles.resultDetail}>
+                            Split: {o.splitOuts.join(' ')}
+                          </Text>
+                        )}
+                      </View>
+                    );
+                  })}
+                </>
+              )}
             </View>
 
-            <TouchableOpacity style={styles.button} onPress={shareResults}>
+            <TouchableOpacity
+              style={styles.button}
+              onPress={() => setShareVisible(true)}>
               <Text style={styles.buttonText}>Share Results</Text>
             </TouchableOpacity>
+            {results.length > 0 && game.boardCards > 0 && (
+              <TouchableOpacity style={styles.button} onPress={exportHand}>
+                <Text style={styles.buttonText}>Export Hand History</Text>
+              </TouchableOpacity>
+            )}
           </>
         )}
 
@@ -578,7 +2568,7 @@ export default function App() {
               <Text style={styles.modalSubtitle}>Select Suit</Text>
               <View style={[styles.row, styles.centeredRow]}>
                 {suits.map((suit) => {
-                  const allPicked = ranks.every((rank) =>
+                  const allPicked = game.ranks.every((rank) =>
                     usedCards.includes(rank + suit.code)
                   );
                   const isDisabled = allPicked;
@@ -586,6 +2576,7 @@ export default function App() {
                   return (
                     <TouchableOpacity
                       key={suit.code}
+                      testID={`picker-suit-${suit.code}`}
                       onPress={() => setSelectedSuit(suit.code)}
                       style={[
                         styles.suitButton,
@@ -610,12 +2601,13 @@ export default function App() {
                   <Text style={styles.modalSubtitle}>Select Rank</Text>
                   <ScrollView style={{ maxHeight: 200 }}>
                     <View style={styles.rankGrid}>
-                      {ranks.map((rank) => {
+                      {game.ranks.map((rank) => {
                         const card = rank + selectedSuit;
                         const isDisabled = usedCards.includes(card);
                         return (
                           <TouchableOpacity
                             key={rank}
+                            testID={`picker-card-${card}`}
                             onPress={() => selectCard(rank)}
                             style={[
                               styles.rankButton,
@@ -653,7 +2645,7 @@ export default function App() {
             style={styles.modalOverlay}>
             <View style={styles.modal}>
               <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
-                Add New Player
+                {renamingIndex !== null ? 'Rename Player' : 'Add New Player'}
               </Text>
               <TextInput
                 style={styles.input}
@@ -667,7 +2659,9 @@ export default function App() {
               <TouchableOpacity
                 onPress={addPlayer}
                 style={[styles.button, { marginTop: 10 }]}>
-                <Text style={styles.buttonText}>Add</Text>
+                <Text style={styles.buttonText}>
+                  {renamingIndex !== null ? 'Save' : 'Add'}
+                </Text>
               </TouchableOpacity>
 
               <TouchableOpacity
@@ -679,74 +2673,863 @@ export default function App() {
           </KeyboardAvoidingView>
         </Modal>
 
-        {/* Settings Modal */}
-        <Modal animationType="slide" transparent visible={settingsVisible}>
-          <View style={[styles.modalOverlay, { padding: 30 }]}>
+        {/* Range Editor Modal */}
+        <Modal animationType="fade" transparent visible={rangePlayer !== null}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.modalOverlay}>
             <View style={[styles.modal, { maxHeight: '90%' }]}>
               <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
-                Settings
+                {players[rangePlayer]?.name} Range
               </Text>
-
-              {/* Dark Mode toggle */}
+              <TextInput
+                style={styles.input}
+                value={rangeText}
+                onChangeText={setRangeText}
+                placeholder="e.g. QQ+, AKs, 76s-54s"
+                placeholderTextColor={isDark ? '#666' : '#999'}
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+              {rangeError ? (
+                <Text style={styles.errorText}>{rangeError}</Text>
+              ) : (
+                <Text style={styles.resultDetail}>
+                  {rangeClasses.length} hands ·{' '}
+                  {expandRange(rangeClasses).length} combos
+                </Text>
+              )}
+              <ScrollView horizontal>
+                <View>
+                  {RANGE_GRID.map((row, ri) => (
+                    <View key={ri} style={{ flexDirection: 'row' }}>
+                      {row.map((hand) => (
+                        <TouchableOpacity
+                          key={hand}
+                          onPress={() => toggleRangeHand(hand)}
+                          style={[
+                            styles.rangeCell,
+                            rangeClasses.includes(hand) &&
+                              styles.rangeCellSelected,
+                          ]}>
+                          <Text style={styles.rangeCellText}>{hand}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  ))}
+                </View>
+              </ScrollView>
               <TouchableOpacity
-                style={[
-                  styles.button,
-                  { backgroundColor: settings.darkMode ? '#4ade80' : '#ddd' },
-                ]}
                 onPress={() =>
-                  setSettings((s) => ({ ...s, darkMode: !s.darkMode }))
-                }>
-                <Text
-                  style={[
-                    styles.buttonText,
-                    { color: settings.darkMode ? '#000' : '#444' },
-                  ]}>
-                  Dark Mode: {settings.darkMode ? 'On' : 'Off'}
-                </Text>
+                  applyRange(
+                    rangeClasses.length ? formatRange(rangeClasses) : null
+                  )
+                }
+                disabled={!!rangeError}
+                style={[styles.button, { marginTop: 10 }]}>
+                <Text style={styles.buttonText}>Apply</Text>
               </TouchableOpacity>
-
-              {/* Show Card Suits toggle */}
               <TouchableOpacity
+                onPress={() => applyRange(null)}
                 style={[
                   styles.button,
-                  {
-                    backgroundColor: settings.showCardSuits
-                      ? '#4ade80'
-                      : '#ddd',
-                  },
-                ]}
-                onPress={() =>
-                  setSettings((s) => ({
-                    ...s,
-                    showCardSuits: !s.showCardSuits,
-                  }))
-                }>
-                <Text
-                  style={[
-                    styles.buttonText,
-                    { color: settings.showCardSuits ? '#000' : '#444' },
-                  ]}>
-                  Show Card Suits: {settings.showCardSuits ? 'Yes' : 'No'}
-                </Text>
+                  { backgroundColor: colors.buttonDanger },
+                ]}>
+                <Text style={styles.buttonText}>Use Exact Cards</Text>
               </TouchableOpacity>
 
-              {/* Card Size selection */}
-              <Text
-                style={[styles.modalSubtitle, { color: colors.textPrimary }]}>
-                Card Size
+              <TouchableOpacity
+                onPress={() => setRangePlayer(null)}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </KeyboardAvoidingView>
+        </Modal>
+
+        {/* Sessions Modal */}
+        <Modal animationType="slide" transparent visible={sessionsVisible}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.modalOverlay}>
+            <View style={[styles.modal, { maxHeight: '90%' }]}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Sessions
               </Text>
-              <View
-                style={{
-                  flexDirection: 'row',
-                  justifyContent: 'space-around',
-                  marginBottom: 10,
-                }}>
-                {['small', 'medium', 'large'].map((size) => (
-                  <TouchableOpacity
-                    key={size}
-                    onPress={() =>
-                      setSettings((s) => ({ ...s, cardSize: size }))
-                    }
+              <ScrollView>
+                {sessions.map((session) => (
+                  <View key={session.id} style={styles.sessionItem}>
+                    <TouchableOpacity
+                      style={{ flex: 1 }}
+                      onPress={() => {
+                        openSession(session);
+                        setSessionsVisible(false);
+                      }}>
+                      <Text
+                        style={[
+                          styles.resultText,
+                          session.id === activeSessionId && styles.winner,
+                        ]}>
+                        {session.name}
+                      </Text>
+                      <Text style={styles.historyBoard}>
+                        {session.players.length} player
+                        {session.players.length === 1 ? '' : 's'}
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => startRenamingSession(session)}>
+                      <MaterialIcons name="edit" size={22} color="#808080" />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => deleteSession(session.id)}>
+                      <MaterialIcons
+                        name="delete"
+                        size={22}
+                        color={colors.buttonDanger}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </ScrollView>
+
+              <TextInput
+                style={[styles.input, { marginTop: 10 }]}
+                value={sessionName}
+                onChangeText={setSessionName}
+                placeholder={
+                  renamingSessionId ? 'New session name' : 'Session name'
+                }
+                placeholderTextColor={isDark ? '#666' : '#999'}
+                onSubmitEditing={saveSessionName}
+              />
+              <TouchableOpacity onPress={saveSessionName} style={styles.button}>
+                <Text style={styles.buttonText}>
+                  {renamingSessionId ? 'Rename Session' : 'New Session'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                onPress={() => {
+                  setRenamingSessionId(null);
+                  setSessionName('');
+                  setSessionsVisible(false);
+                }}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Close</Text>
+              </TouchableOpacity>
+            </View>
+          </KeyboardAvoidingView>
+        </Modal>
+
+        {/* Card Grid Modal */}
+        <Modal animationType="fade" transparent visible={gridVisible}>
+          <View style={styles.modalOverlay}>
+            <View style={styles.modal}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Card Grid
+              </Text>
+              <View style={styles.optionRow}>
+                {ENTRY_ORDERS.map((order) => (
+                  <TouchableOpacity
+                    key={order.value}
+                    onPress={() =>
+                      setSettings((s) => ({ ...s, entryOrder: order.value }))
+                    }
+                    style={[
+                      styles.optionButton,
+                      settings.entryOrder === order.value &&
+                        styles.optionButtonActive,
+                    ]}>
+                    <Text
+                      style={[
+                        styles.optionText,
+                        settings.entryOrder === order.value &&
+                          styles.optionTextActive,
+                      ]}>
+                      {order.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.modalSubtitle}>
+                {nextSlot
+                  ? `Next: ${slotLabel(nextSlot)}`
+                  : 'Every card slot is filled'}
+              </Text>
+              {suits.map((suit) => (
+                <View key={suit.code} style={styles.gridRow}>
+                  {game.ranks.map((rank) => {
+                    const card = rank + suit.code;
+                    const isDisabled = !nextSlot || usedCards.includes(card);
+                    return (
+                      <TouchableOpacity
+                        key={card}
+                        testID={`grid-card-${card}`}
+                        onPress={() => pickGridCard(card)}
+                        style={[
+                          styles.gridCell,
+                          isDisabled && styles.disabledButton,
+                        ]}
+                        disabled={isDisabled}>
+                        <Text
+                          style={[
+                            styles.gridCellText,
+                            { color: getCardFace(card).color },
+                            isDisabled && styles.disabledText,
+                          ]}>
+                          {rank}
+                          {suit.symbol}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              ))}
+
+              <ScrollView style={{ maxHeight: 180, marginTop: 10 }}>
+                {[
+                  ...players.map((p, pi) => ({
+                    name: p.name,
+                    slots: p.range
+                      ? []
+                      : p.cards.map((c, ci) => ({ player: pi, card: ci })),
+                  })),
+                  {
+                    name: 'Board',
+                    slots: game.boardCards
+                      ? community.map((c, i) => ({ board: i }))
+                      : [],
+                  },
+                ]
+                  .filter((group) => group.slots.length > 0)
+                  .map((group, gi) => (
+                    <View key={gi} style={styles.gridSlots}>
+                      <Text style={[styles.resultDetail, styles.gridSlotName]}>
+                        {group.name}
+                      </Text>
+                      {group.slots.map((slot, si) => {
+                        const card = slotCard(slot);
+                        const face = getCardFace(card);
+                        const isNext =
+                          nextSlot &&
+                          nextSlot.player === slot.player &&
+                          nextSlot.card === slot.card &&
+                          nextSlot.board === slot.board;
+                        return (
+                          <TouchableOpacity
+                            key={si}
+                            onPress={() => editSlot(slot, '')}
+                            disabled={!card}
+                            style={[
+                              styles.gridSlot,
+                              isNext && styles.gridSlotNext,
+                            ]}>
+                            <Text
+                              style={[
+                                styles.gridCellText,
+                                { color: face.color },
+                              ]}>
+                              {card ? face.rank + face.suit : '·'}
+                            </Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                  ))}
+              </ScrollView>
+              <Text style={styles.resultDetail}>
+                Tap a filled slot to clear it.
+              </Text>
+
+              <View style={styles.optionRow}>
+                <TouchableOpacity
+                  onPress={undoGridEdit}
+                  disabled={gridHistory.undo.length === 0}
+                  style={[
+                    styles.optionButton,
+                    gridHistory.undo.length === 0 && styles.disabledButton,
+                  ]}>
+                  <Text style={styles.optionText}>Undo</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={redoGridEdit}
+                  disabled={gridHistory.redo.length === 0}
+                  style={[
+                    styles.optionButton,
+                    gridHistory.redo.length === 0 && styles.disabledButton,
+                  ]}>
+                  <Text style={styles.optionText}>Redo</Text>
+                </TouchableOpacity>
+              </View>
+
+              <TouchableOpacity
+                style={styles.closeBtn}
+                onPress={() => setGridVisible(false)}>
+                <Text style={styles.buttonText}>Done</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+
+        {/* Text Card Entry Modal */}
+        <Modal animationType="fade" transparent visible={notationVisible}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.modalOverlay}>
+            <View style={styles.modal}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Type Cards
+              </Text>
+              <Text style={styles.resultDetail}>
+                Hands separated by /, then | and the board, e.g. AsKd / QhQc |
+                7s8s9d Th 2c
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={notationText}
+                onChangeText={(text) => {
+                  setNotationText(text);
+                  setNotationError(null);
+                }}
+                placeholder="AsKd / QhQc | 7s8s9d Th 2c"
+                placeholderTextColor={isDark ? '#666' : '#999'}
+                autoCapitalize="none"
+                autoCorrect={false}
+                autoFocus
+                onSubmitEditing={applyNotation}
+              />
+              {notationError && (
+                <Text style={styles.errorText}>{notationError}</Text>
+              )}
+              {Platform.OS === 'web' && (
+                <TouchableOpacity onPress={pasteNotation} style={styles.button}>
+                  <Text style={styles.buttonText}>Paste from Clipboard</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                onPress={applyNotation}
+                style={[styles.button, { marginTop: 10 }]}>
+                <Text style={styles.buttonText}>Apply</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                onPress={() => setNotationVisible(false)}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </KeyboardAvoidingView>
+        </Modal>
+
+        {/* Import Hand History Modal */}
+        <Modal animationType="fade" transparent visible={importVisible}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.modalOverlay}>
+            <View style={styles.modal}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Import Hand History
+              </Text>
+              <TextInput
+                style={[styles.input, styles.importInput]}
+                value={importText}
+                onChangeText={setImportText}
+                placeholder="Paste a PokerStars hand history"
+                placeholderTextColor={isDark ? '#666' : '#999'}
+                multiline
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              {importErrors.length > 0 && (
+                <ScrollView style={{ maxHeight: 120, marginTop: 8 }}>
+                  {importErrors.map((e, i) => (
+                    <Text key={i} style={styles.errorText}>
+                      Line {e.line}: {e.message}
+                    </Text>
+                  ))}
+                </ScrollView>
+              )}
+              <TouchableOpacity
+                onPress={importHand}
+                style={[styles.button, { marginTop: 10 }]}>
+                <Text style={styles.buttonText}>Import</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                onPress={() => setImportVisible(false)}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </KeyboardAvoidingView>
+        </Modal>
+
+        {/* Betting Modal */}
+        <Modal animationType="slide" transparent visible={bettingVisible}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={[styles.modalOverlay, { padding: 30 }]}>
+            <View style={[styles.modal, { maxHeight: '90%' }]}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                {replayStep !== null ? 'Replay' : 'Betting'}
+              </Text>
+              <ScrollView>
+                {!betting ? (
+                  <>
+                    <Text style={styles.modalSubtitle}>Blinds</Text>
+                    <View style={styles.row}>
+                      {[
+                        ['smallBlind', 'Small'],
+                        ['bigBlind', 'Big'],
+                        ['ante', 'Ante'],
+                      ].map(([key, label]) => (
+                        <TextInput
+                          key={key}
+                          style={[styles.input, { flex: 1 }]}
+                          value={blinds[key]}
+                          onChangeText={(value) =>
+                            setBlinds({
+                              ...blinds,
+                              [key]: value.replace(/[^0-9]/g, ''),
+                            })
+                          }
+                          placeholder={label}
+                          placeholderTextColor={isDark ? '#666' : '#999'}
+                          keyboardType="number-pad"
+                        />
+                      ))}
+                    </View>
+                    <Text style={styles.modalSubtitle}>Stacks</Text>
+                    {players.map((p, i) => (
+                      <View key={i} style={styles.row}>
+                        <Text style={[styles.resultText, { flex: 1 }]}>
+                          {p.name}
+                          {i === dealer ? ' (D)' : ''}
+                        </Text>
+                        <TextInput
+                          style={[styles.input, { flex: 1 }]}
+                          value={p.stack || ''}
+                          onChangeText={(value) => setPlayerStack(i, value)}
+                          onBlur={endTyping}
+                          placeholder="Stack"
+                          placeholderTextColor={isDark ? '#666' : '#999'}
+                          keyboardType="number-pad"
+                        />
+                      </View>
+                    ))}
+                    <TouchableOpacity
+                      onPress={startBetting}
+                      style={[styles.button, { marginTop: 10 }]}>
+                      <Text style={styles.buttonText}>Post Blinds</Text>
+                    </TouchableOpacity>
+                  </>
+                ) : replayStep !== null ? (
+                  <>
+                    {renderBettingState(bettingStates[replayStep])}
+                    <Text style={styles.resultDetail}>
+                      Step {replayStep} of {bettingStates.length - 1}
+                    </Text>
+                    <View style={styles.optionRow}>
+                      <TouchableOpacity
+                        disabled={replayStep === 0}
+                        onPress={() => setReplayStep(replayStep - 1)}
+                        style={styles.optionButton}>
+                        <Text style={styles.optionText}>◀ Back</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        disabled={replayStep === bettingStates.length - 1}
+                        onPress={() => setReplayStep(replayStep + 1)}
+                        style={styles.optionButton}>
+                        <Text style={styles.optionText}>Forward ▶</Text>
+                      </TouchableOpacity>
+                    </View>
+                    <TouchableOpacity
+                      onPress={() => setReplayStep(null)}
+                      style={styles.button}>
+                      <Text style={styles.buttonText}>Back to Recording</Text>
+                    </TouchableOpacity>
+                  </>
+                ) : (
+                  <>
+                    {renderBettingState(bettingState)}
+                    {legalActions && (
+                      <>
+                        <Text style={styles.modalSubtitle}>
+                          {betting.names[legalActions.seat]} to act
+                        </Text>
+                        {legalActions.actions.some(
+                          (a) => a === 'bet' || a === 'raise'
+                        ) && (
+                          <TextInput
+                            style={styles.input}
+                            value={betAmount}
+                            onChangeText={(value) =>
+                              setBetAmount(value.replace(/[^0-9]/g, ''))
+                            }
+                            placeholder={`Bet or raise to (${legalActions.minRaiseTo}-${legalActions.maxRaiseTo})`}
+                            placeholderTextColor={isDark ? '#666' : '#999'}
+                            keyboardType="number-pad"
+                          />
+                        )}
+                        <View style={[styles.optionRow, { marginTop: 10 }]}>
+                          {shownActions(legalActions).map((type) => (
+                            <TouchableOpacity
+                              key={type}
+                              onPress={() => recordAction(type)}
+                              style={styles.optionButton}>
+                              <Text style={styles.optionText}>
+                                {actionLabel(type)}
+                              </Text>
+                            </TouchableOpacity>
+                          ))}
+                        </View>
+                      </>
+                    )}
+                    {bettingState.winner !== null && (
+                      <>
+                        <Text style={[styles.resultText, styles.winner]}>
+                          {betting.names[bettingState.winner]} wins the pot of{' '}
+                          {bettingState.pot} uncontested
+                        </Text>
+                        <TouchableOpacity
+                          onPress={awardUncontested}
+                          style={styles.button}>
+                          <Text style={styles.buttonText}>Award Pot</Text>
+                        </TouchableOpacity>
+                      </>
+                    )}
+                    {bettingState.complete && bettingState.winner === null && (
+                      <TouchableOpacity
+                        onPress={bettingShowdown}
+                        style={styles.button}>
+                        <Text style={styles.buttonText}>Go to Showdown</Text>
+                      </TouchableOpacity>
+                    )}
+                    {betting.actions.length > 0 && (
+                      <>
+                        <TouchableOpacity
+                          onPress={undoAction}
+                          style={styles.button}>
+                          <Text style={styles.buttonText}>
+                            Undo Last Action
+                          </Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          onPress={() => setReplayStep(0)}
+                          style={styles.button}>
+                          <Text style={styles.buttonText}>Replay Hand</Text>
+                        </TouchableOpacity>
+                      </>
+                    )}
+                    <TouchableOpacity
+                      onPress={() => setBetting(null)}
+                      style={[
+                        styles.button,
+                        { backgroundColor: colors.buttonDanger },
+                      ]}>
+                      <Text style={styles.buttonText}>New Hand</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </ScrollView>
+
+              <TouchableOpacity
+                onPress={() => setBettingVisible(false)}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Close</Text>
+              </TouchableOpacity>
+            </View>
+          </KeyboardAvoidingView>
+        </Modal>
+
+        {/* Leaderboard Modal */}
+        <Modal animationType="slide" transparent visible={statsVisible}>
+          <View style={[styles.modalOverlay, { padding: 30 }]}>
+            <View style={[styles.modal, { maxHeight: '90%' }]}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Leaderboard
+              </Text>
+              <View style={styles.optionRow}>
+                {[
+                  { value: 'session', label: 'This Session' },
+                  { value: 'all', label: 'All Time' },
+                ].map((scope) => (
+                  <TouchableOpacity
+                    key={scope.value}
+                    onPress={() => setStatsScope(scope.value)}
+                    style={[
+                      styles.optionButton,
+                      statsScope === scope.value && styles.optionButtonActive,
+                    ]}>
+                    <Text
+                      style={[
+                        styles.optionText,
+                        statsScope === scope.value && styles.optionTextActive,
+                      ]}>
+                      {scope.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.optionRow}>
+                {STAT_SORTS.map((sort) => (
+                  <TouchableOpacity
+                    key={sort.value}
+                    onPress={() => setStatsSort(sort.value)}
+                    style={[
+                      styles.optionButton,
+                      statsSort === sort.value && styles.optionButtonActive,
+                    ]}>
+                    <Text
+                      style={[
+                        styles.optionText,
+                        statsSort === sort.value && styles.optionTextActive,
+                      ]}>
+                      {sort.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {leaderboard.length === 0 ? (
+                <Text style={styles.resultText}>
+                  Evaluate some hands to see player stats.
+                </Text>
+              ) : (
+                <ScrollView>
+                  {leaderboard.map((stat, i) => (
+                    <View key={stat.name} style={styles.sessionItem}>
+                      <View style={{ flex: 1 }}>
+                        <Text style={styles.resultText}>
+                          {i + 1}. {stat.name}
+                        </Text>
+                        <Text style={styles.resultDetail}>
+                          Played {stat.handsPlayed} · Won {stat.handsWon} ·
+                          Splits {stat.splits} · {stat.winRate.toFixed(0)}%
+                          {stat.net !== null
+                            ? ` · Net ${formatNet(stat.net)}`
+                            : ''}
+                        </Text>
+                        <Text style={styles.historyBoard}>
+                          {categoryDistribution(stat.categories)
+                            .map((c) => `${c.name} ${c.count}`)
+                            .join(' · ')}
+                        </Text>
+                      </View>
+                      <TouchableOpacity
+                        onPress={() => exportPlayerCsv(stat.name)}
+                        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                        <MaterialIcons
+                          name="file-download"
+                          size={24}
+                          color="#808080"
+                        />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </ScrollView>
+              )}
+
+              <TouchableOpacity
+                onPress={() => setStatsVisible(false)}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Close</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+
+        {/* History Modal */}
+        <Modal animationType="slide" transparent visible={historyVisible}>
+          <View style={[styles.modalOverlay, { padding: 30 }]}>
+            <View style={[styles.modal, { maxHeight: '90%' }]}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                {selectedHand ? 'Hand Details' : 'Hand History'}
+              </Text>
+
+              {selectedHand ? (
+                <ScrollView>
+                  <Text style={styles.resultText}>
+                    {new Date(selectedHand.timestamp).toLocaleString()}
+                  </Text>
+                  <Text style={styles.modalSubtitle}>Board</Text>
+                  <View style={styles.row}>
+                    {selectedHand.board.map((c, i) => (
+                      <Fragment key={i}>
+                        {renderCard(c, undefined, selectedWinningCards.has(c))}
+                      </Fragment>
+                    ))}
+                  </View>
+                  {selectedHand.players.map((p, i) => {
+                    const r = selectedHand.results[i];
+                    return (
+                      <View key={i}>
+                        <Text
+                          style={[
+                            styles.modalSubtitle,
+                            r?.isWinner && styles.winner,
+                          ]}>
+                          {p.name} {r?.isWinner ? '🏆' : ''}
+                        </Text>
+                        <View style={styles.row}>
+                          {p.cards.map((c, ci) => (
+                            <Fragment key={ci}>
+                              {renderCard(
+                                c,
+                                undefined,
+                                selectedWinningCards.has(c)
+                              )}
+                            </Fragment>
+                          ))}
+                        </View>
+                        {r && (
+                          <Text style={styles.resultText}>
+                            {r.description}
+                            {r.low !== undefined ? ` / ${lowLabel(r)}` : ''}
+                            {r.payout !== null ? ` (${formatPayout(r)})` : ''}
+                          </Text>
+                        )}
+                      </View>
+                    );
+                  })}
+
+                  <TouchableOpacity
+                    style={styles.button}
+                    onPress={() => loadHand(selectedHand)}>
+                    <Text style={styles.buttonText}>Load into Editor</Text>
+                  </TouchableOpacity>
+                  {selectedHand.betting && (
+                    <TouchableOpacity
+                      style={styles.button}
+                      onPress={() => {
+                        loadHand(selectedHand);
+                        setReplayStep(0);
+                        setBettingVisible(true);
+                      }}>
+                      <Text style={styles.buttonText}>Replay Betting</Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity
+                    style={[
+                      styles.button,
+                      { backgroundColor: colors.buttonDanger },
+                    ]}
+                    onPress={() => deleteHand(selectedHand.id)}>
+                    <Text style={styles.buttonText}>Delete Hand</Text>
+                  </TouchableOpacity>
+                </ScrollView>
+              ) : history.length === 0 ? (
+                <Text style={styles.resultText}>
+                  Evaluated hands will appear here.
+                </Text>
+              ) : (
+                <ScrollView>
+                  {history.map((entry) => (
+                    <TouchableOpacity
+                      key={entry.id}
+                      style={styles.historyItem}
+                      onPress={() => setSelectedHandId(entry.id)}>
+                      <Text style={styles.resultText}>
+                        {new Date(entry.timestamp).toLocaleString()}
+                      </Text>
+                      <Text style={[styles.resultText, styles.winner]}>
+                        🏆{' '}
+                        {entry.results
+                          .filter((r) => r.isWinner)
+                          .map((r) => `${r.name} (${r.description})`)
+                          .join(', ')}
+                      </Text>
+                      <Text style={styles.historyBoard}>
+                        {entry.board.join(' ')}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              )}
+
+              <TouchableOpacity
+                onPress={() =>
+                  selectedHand
+                    ? setSelectedHandId(null)
+                    : setHistoryVisible(false)
+                }
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>
+                  {selectedHand ? 'Back' : 'Close'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+
+        {/* Settings Modal */}
+        <Modal animationType="slide" transparent visible={settingsVisible}>
+          <View style={[styles.modalOverlay, { padding: 30 }]}>
+            <View style={[styles.modal, { maxHeight: '90%' }]}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Settings
+              </Text>
+
+              {/* Dark Mode toggle */}
+              <TouchableOpacity
+                style={[
+                  styles.button,
+                  { backgroundColor: settings.darkMode ? '#4ade80' : '#ddd' },
+                ]}
+                onPress={() =>
+                  setSettings((s) => ({ ...s, darkMode: !s.darkMode }))
+                }>
+                <Text
+                  style={[
+                    styles.buttonText,
+                    { color: settings.darkMode ? '#000' : '#444' },
+                  ]}>
+                  Dark Mode: {settings.darkMode ? 'On' : 'Off'}
+                </Text>
+              </TouchableOpacity>
+
+              {/* Show Card Suits toggle */}
+              <TouchableOpacity
+                style={[
+                  styles.button,
+                  {
+                    backgroundColor: settings.showCardSuits
+                      ? '#4ade80'
+                      : '#ddd',
+                  },
+                ]}
+                onPress={() =>
+                  setSettings((s) => ({
+                    ...s,
+                    showCardSuits: !s.showCardSuits,
+                  }))
+                }>
+                <Text
+                  style={[
+                    styles.buttonText,
+                    { color: settings.showCardSuits ? '#000' : '#444' },
+                  ]}>
+                  Show Card Suits: {settings.showCardSuits ? 'Yes' : 'No'}
+                </Text>
+              </TouchableOpacity>
+
+              {/* Card Size selection */}
+              <Text
+                style={[styles.modalSubtitle, { color: colors.textPrimary }]}>
+                Card Size
+              </Text>
+              <View
+                style={{
+                  flexDirection: 'row',
+                  justifyContent: 'space-around',
+                  marginBottom: 10,
+                }}>
+                {['small', 'medium', 'large'].map((size) => (
+                  <TouchableOpacity
+                    key={size}
+                    onPress={() =>
+                      setSettings((s) => ({ ...s, cardSize: size }))
+                    }
                     style={{
                       padding: 10,
                       borderRadius: 10,
@@ -775,6 +3558,114 @@ export default function App() {
                 ))}
               </View>
 
+              {/* Game mode selection */}
+              <Text
+                style={[styles.modalSubtitle, { color: colors.textPrimary }]}>
+                Game
+              </Text>
+              <View
+                style={{
+                  flexDirection: 'row',
+                  flexWrap: 'wrap',
+                  justifyContent: 'space-around',
+                  gap: 6,
+                  marginBottom: 10,
+                }}>
+                {GAME_MODES.map((mode) => (
+                  <TouchableOpacity
+                    key={mode.value}
+                    onPress={() => setGameMode(mode.value)}
+                    style={{
+                      padding: 10,
+                      borderRadius: 10,
+                      backgroundColor:
+                        game.value === mode.value
+                          ? '#38bdf8'
+                          : isDark
+                            ? '#444'
+                            : '#eee',
+                      minWidth: 70,
+                      alignItems: 'center',
+                    }}>
+                    <Text
+                      style={{
+                        color:
+                          game.value === mode.value
+                            ? '#fff'
+                            : isDark
+                              ? '#fff'
+                              : '#000',
+                        fontWeight: '600',
+                      }}>
+                      {mode.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {/* Hi-Lo toggle */}
+              {hasLowHalf && (
+                <TouchableOpacity
+                  style={[
+                    styles.button,
+                    { backgroundColor: settings.hiLo ? '#4ade80' : '#ddd' },
+                  ]}
+                  onPress={toggleHiLo}>
+                  <Text
+                    style={[
+                      styles.buttonText,
+                      { color: settings.hiLo ? '#000' : '#444' },
+                    ]}>
+                    Hi-Lo Split (8 or Better): {settings.hiLo ? 'On' : 'Off'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
+              {/* Odd chip rule selection */}
+              <Text
+                style={[styles.modalSubtitle, { color: colors.textPrimary }]}>
+                Odd Chips Go To
+              </Text>
+              <View
+                style={{
+                  flexDirection: 'row',
+                  justifyContent: 'space-around',
+                  marginBottom: 10,
+                }}>
+                {ODD_CHIP_RULES.map((rule) => (
+                  <TouchableOpacity
+                    key={rule.value}
+                    onPress={() =>
+                      setSettings((s) => ({ ...s, oddChipRule: rule.value }))
+                    }
+                    style={{
+                      padding: 10,
+                      borderRadius: 10,
+                      backgroundColor:
+                        settings.oddChipRule === rule.value
+                          ? '#38bdf8'
+                          : isDark
+                            ? '#444'
+                            : '#eee',
+                      minWidth: 70,
+                      alignItems: 'center',
+                    }}>
+                    <Text
+                      style={{
+                        color:
+                          settings.oddChipRule === rule.value
+                            ? '#fff'
+                            : isDark
+                              ? '#fff'
+                              : '#000',
+                        fontWeight: '600',
+                      }}>
+                      {rule.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
               <TouchableOpacity
                 onPress={() => setSettingsVisible(false)}
                 style={styles.closeBtn}>
@@ -783,7 +3674,148 @@ export default function App() {
             </View>
           </View>
         </Modal>
+
+        {/* Share Modal */}
+        <Modal animationType="fade" transparent visible={shareVisible}>
+          <View style={styles.modalOverlay}>
+            <View style={styles.modal}>
+              <Text style={[styles.modalTitle, { color: colors.textPrimary }]}>
+                Share Results
+              </Text>
+              <View style={styles.optionRow}>
+                {SHARE_LAYOUTS.map((layout) => (
+                  <TouchableOpacity
+                    key={layout.value}
+                    onPress={() =>
+                      setSettings((s) => ({ ...s, shareLayout: layout.value }))
+                    }
+                    style={[
+                      styles.optionButton,
+                      shareLayout.value === layout.value &&
+                        styles.optionButtonActive,
+                    ]}>
+                    <Text
+                      style={[
+                        styles.optionText,
+                        shareLayout.value === layout.value &&
+                          styles.optionTextActive,
+                      ]}>
+                      {layout.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TouchableOpacity onPress={shareResults} style={styles.button}>
+                <Text style={styles.buttonText}>
+                  {Platform.OS === 'web' ? 'Download PNG' : 'Share Image'}
+                </Text>
+              </TouchableOpacity>
+              {Platform.OS === 'web' && results.length > 0 && (
+                <TouchableOpacity
+                  onPress={copyResultsText}
+                  style={styles.button}>
+                  <Text style={styles.buttonText}>Copy as Text</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                onPress={() => setShareVisible(false)}
+                style={styles.closeBtn}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
       </ScrollView>
+
+      {snackbar && (
+        <View style={styles.snackbar}>
+          <Text style={styles.snackbarText}>{snackbar}</Text>
+          <TouchableOpacity onPress={undoFromSnackbar}>
+            <Text style={styles.snackbarAction}>UNDO</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Share card, laid out offscreen and only while sharing */}
+      {shareVisible && (
+        <View style={styles.shareOffscreen} pointerEvents="none">
+          <View
+            ref={shareCardRef}
+            collapsable={false}
+            style={{ width: shareLayout.width, height: shareLayout.height }}>
+            <LinearGradient
+              colors={colors.backgroundGradient}
+              style={styles.shareCard}>
+              <Text style={styles.shareTitle}>
+                {game.label}
+                {hiLo ? ' Hi-Lo' : ''}
+                {results.length > 0 ? ' Showdown' : ' Equity'}
+              </Text>
+              <View style={[styles.row, styles.centeredRow]}>
+                {community.filter(Boolean).map((c) => (
+                  <Fragment key={c}>
+                    {renderCard(
+                      c,
+                      undefined,
+                      winningCards.has(c),
+                      shareLayout.cardSize
+                    )}
+                  </Fragment>
+                ))}
+              </View>
+              <View
+                style={[
+                  styles.shareSeats,
+                  shareLayout.value === 'square' && styles.shareSeatsGrid,
+                ]}>
+                {players.map((p, i) => {
+                  const r = results[i];
+                  const e = equity?.players[i];
+                  return (
+                    <View
+                      key={i}
+                      style={[
+                        styles.shareSeat,
+                        shareLayout.value === 'square' && styles.shareSeatHalf,
+                        r?.isWinner && styles.shareSeatWinner,
+                      ]}>
+                      <Text style={styles.shareName} numberOfLines={1}>
+                        {p.name} {r?.isWinner ? '🏆' : ''}
+                      </Text>
+                      <View style={styles.row}>
+                        {p.cards.map((c, ci) => (
+                          <Fragment key={ci}>
+                            {renderCard(
+                              c,
+                              undefined,
+                              winningCards.has(c),
+                              shareLayout.cardSize
+                            )}
+                          </Fragment>
+                        ))}
+                      </View>
+                      {r && (
+                        <Text style={styles.shareDetail} numberOfLines={2}>
+                          {r.description}
+                          {r.payout !== null ? ` · ${formatPayout(r)}` : ''}
+                        </Text>
+                      )}
+                      {!r && e && (
+                        <Text style={styles.shareDetail}>
+                          Win {e.win.toFixed(1)}% · Tie {e.tie.toFixed(1)}%
+                        </Text>
+                      )}
+                    </View>
+                  );
+                })}
+              </View>
+              <Text style={styles.shareFooter}>
+                Texas Hold'em Hand Evaluator
+              </Text>
+            </LinearGradient>
+          </View>
+        </View>
+      )}
     </LinearGradient>
   );
 }
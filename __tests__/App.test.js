@@ -0,0 +1,255 @@
+import { act, fireEvent, render, screen } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import App from '../App';
+import { buildDeck, dealHand } from '../engine';
+
+const EMPTY_SLOT = '＋';
+
+// Render and let the saved sessions, settings and history finish loading
+const renderApp = async () => {
+  render(<App />);
+  await act(async () => {});
+};
+
+const addPlayer = (name) => {
+  fireEvent.press(screen.getByText('Add Player'));
+  fireEvent.changeText(screen.getByPlaceholderText('Player Name'), name);
+  fireEvent.press(screen.getByText('Add'));
+};
+
+// Fill an empty slot, counting from the first; the board's slots come before
+// the players'
+const pickCard = (card, slot = 0) => {
+  fireEvent.press(screen.getAllByText(EMPTY_SLOT)[slot]);
+  fireEvent.press(screen.getByTestId(`picker-suit-${card[1]}`));
+  fireEvent.press(screen.getByTestId(`picker-card-${card}`));
+};
+
+const setUpTable = async (hands, board) => {
+  await renderApp();
+  hands.forEach((_, i) => addPlayer(`Player ${i + 1}`));
+  board.forEach((card) => pickCard(card));
+  // Skip the board slots left empty
+  hands.flat().forEach((card) => pickCard(card, 5 - board.length));
+};
+
+beforeEach(async () => {
+  // Each test starts from a fresh install
+  await AsyncStorage.clear();
+  global.alert = jest.fn();
+});
+
+describe('card picker', () => {
+  it('fills the slot with the picked card', async () => {
+    await renderApp();
+    addPlayer('Alice');
+    expect(screen.getAllByText(EMPTY_SLOT)).toHaveLength(7);
+
+    fireEvent.press(screen.getAllByText(EMPTY_SLOT)[0]);
+    expect(screen.getByText('Pick a Card')).toBeOnTheScreen();
+    expect(screen.queryByTestId('picker-card-As')).toBeNull();
+
+    fireEvent.press(screen.getByTestId('picker-suit-s'));
+    fireEvent.press(screen.getByTestId('picker-card-As'));
+
+    expect(screen.queryByText('Pick a Card')).toBeNull();
+    expect(screen.getAllByText(EMPTY_SLOT)).toHaveLength(6);
+    expect(screen.getByText('A')).toBeOnTheScreen();
+  });
+
+  it('does not offer a card that is already on the table', async () => {
+    await renderApp();
+    addPlayer('Alice');
+    pickCard('As');
+
+    fireEvent.press(screen.getAllByText(EMPTY_SLOT)[0]);
+    fireEvent.press(screen.getByTestId('picker-suit-s'));
+    expect(screen.getByTestId('picker-card-As')).toBeDisabled();
+    expect(screen.getByTestId('picker-card-Ks')).toBeEnabled();
+
+    fireEvent.press(screen.getByTestId('picker-card-As'));
+    expect(screen.getByText('Pick a Card')).toBeOnTheScreen();
+    expect(screen.getAllByText(EMPTY_SLOT)).toHaveLength(6);
+  });
+
+  it('disables a suit once all of its cards are used', async () => {
+    await setUpTable(
+      [
+        ['As', 'Ks'],
+        ['Qs', 'Js'],
+        ['Ts', '9s'],
+        ['8s', '7s'],
+      ],
+      ['6s', '5s', '4s', '3s', '2s']
+    );
+    addPlayer('Eve');
+    fireEvent.press(screen.getAllByText(EMPTY_SLOT)[0]);
+    expect(screen.getByTestId('picker-suit-s')).toBeDisabled();
+    expect(screen.getByTestId('picker-suit-h')).toBeEnabled();
+  });
+});
+
+describe('evaluate', () => {
+  it('crowns the best hand', async () => {
+    await setUpTable(
+      [
+        ['As', 'Ad'],
+        ['Kh', 'Kd'],
+      ],
+      ['2c', '7d', 'Ks', '3h', '9s']
+    );
+    fireEvent.press(screen.getByText('Evaluate Winner'));
+
+    expect(
+      screen.getByText(/^Player 2: Three of a Kind.*🏆/)
+    ).toBeOnTheScreen();
+    expect(screen.getByText(/^Player 1: Pair/)).not.toHaveTextContent(/🏆/);
+    expect(global.alert).not.toHaveBeenCalled();
+  });
+
+  it('splits the pot when the board plays', async () => {
+    await setUpTable(
+      [
+        ['2c', '3d'],
+        ['4c', '5d'],
+      ],
+      ['Ah', 'Kh', 'Qh', 'Jh', 'Th']
+    );
+    fireEvent.press(screen.getByText('Evaluate Winner'));
+
+    expect(screen.getByText(/^Player 1: Royal Flush.*🏆/)).toBeOnTheScreen();
+    expect(screen.getByText(/^Player 2: Royal Flush.*🏆/)).toBeOnTheScreen();
+  });
+
+  it('asks for the rest of the board', async () => {
+    await setUpTable(
+      [
+        ['As', 'Ad'],
+        ['Kh', 'Kd'],
+      ],
+      ['2c', '7d', 'Ks']
+    );
+    fireEvent.press(screen.getByText('Evaluate Winner'));
+
+    expect(global.alert).toHaveBeenCalledWith(
+      'Please select 5 community cards.'
+    );
+    expect(screen.queryByText(/🏆/)).toBeNull();
+  });
+});
+
+describe('undo', () => {
+  it('undoes a typed number in one step', async () => {
+    await renderApp();
+    addPlayer('Alice');
+    const chips = () => screen.getByPlaceholderText('Chips in pot');
+    ['1', '10', '100', '1000'].forEach((value) =>
+      fireEvent.changeText(chips(), value)
+    );
+    expect(chips()).toHaveDisplayValue('1000');
+
+    fireEvent.press(screen.getByText('Undo'));
+    expect(chips()).toHaveDisplayValue('');
+    expect(screen.getByText('Alice')).toBeOnTheScreen();
+  });
+});
+
+describe('card grid', () => {
+  // The grid's buttons come after the table's in the tree
+  const pressGrid = (text) => {
+    const buttons = screen.getAllByText(text);
+    fireEvent.press(buttons[buttons.length - 1]);
+  };
+
+  it('undoes and redoes only the cards it placed', async () => {
+    await renderApp();
+    addPlayer('Alice');
+    fireEvent.changeText(screen.getByPlaceholderText('Chips in pot'), '50');
+    fireEvent.press(screen.getByText('Card Grid'));
+    fireEvent.press(screen.getByTestId('grid-card-As'));
+    expect(screen.getByTestId('grid-card-As')).toBeDisabled();
+
+    pressGrid('Undo');
+    expect(screen.getByTestId('grid-card-As')).toBeEnabled();
+    expect(screen.getByPlaceholderText('Chips in pot')).toHaveDisplayValue(
+      '50'
+    );
+    // Nothing before the grid was opened is undone from it
+    pressGrid('Undo');
+    expect(screen.getByPlaceholderText('Chips in pot')).toHaveDisplayValue(
+      '50'
+    );
+
+    pressGrid('Redo');
+    expect(screen.getByTestId('grid-card-As')).toBeDisabled();
+  });
+});
+
+describe('training', () => {
+  it("keeps the drill's hidden board out of the picker", async () => {
+    await renderApp();
+    addPlayer('Player 1');
+    addPlayer('Player 2');
+    fireEvent.changeText(
+      screen.getByPlaceholderText('Drill seed (blank for random)'),
+      '7'
+    );
+    fireEvent.press(screen.getByText('Start Training'));
+    const { hands, board } = dealHand(2, { seed: 7 });
+    const [free, other] = buildDeck([...hands.flat(), ...board]);
+
+    // The river is dealt but not shown, so a new player cannot hold it
+    addPlayer('Player 3');
+    fireEvent.press(screen.getAllByText(EMPTY_SLOT)[5]);
+    fireEvent.press(screen.getByTestId(`picker-suit-${board[4][1]}`));
+    expect(screen.getByTestId(`picker-card-${board[4]}`)).toBeDisabled();
+    fireEvent.press(screen.getByTestId(`picker-card-${board[4]}`));
+    expect(screen.getByText('Pick a Card')).toBeOnTheScreen();
+
+    fireEvent.press(screen.getByTestId(`picker-suit-${free[1]}`));
+    fireEvent.press(screen.getByTestId(`picker-card-${free}`));
+    pickCard(other, 5);
+    fireEvent.press(screen.getByText('Reveal'));
+
+    expect(global.alert).not.toHaveBeenCalled();
+    expect(screen.getByText('No guesses made this hand')).toBeOnTheScreen();
+  });
+});
+
+describe('betting', () => {
+  const startBetting = async (stacks) => {
+    await renderApp();
+    stacks.forEach((_, i) => addPlayer(`Player ${i + 1}`));
+    fireEvent.press(screen.getByText('Record Betting'));
+    fireEvent.changeText(screen.getByPlaceholderText('Small'), '1');
+    fireEvent.changeText(screen.getByPlaceholderText('Big'), '2');
+    screen
+      .getAllByPlaceholderText('Stack')
+      .forEach((input, i) => fireEvent.changeText(input, stacks[i]));
+    fireEvent.press(screen.getByText('Post Blinds'));
+  };
+
+  it('offers only a call when calling puts the player all-in', async () => {
+    await startBetting(['2', '100']);
+    expect(screen.getByText('Call 1')).toBeOnTheScreen();
+    expect(screen.queryByText(/^All-in/)).toBeNull();
+  });
+
+  it('records a pot won uncontested', async () => {
+    await startBetting(['100', '100']);
+    fireEvent.press(screen.getByText('Fold'));
+    fireEvent.press(screen.getByText('Award Pot'));
+
+    expect(
+      screen.getByText(/^Player 2: Won uncontested.*🏆/)
+    ).toBeOnTheScreen();
+    expect(screen.getByText(/^Player 1: Folded/)).toBeOnTheScreen();
+    const history = JSON.parse(
+      await AsyncStorage.getItem('@texas_holdem_history')
+    );
+    // The big blind's unmatched chip goes back before the pot is awarded
+    expect(history[0].results.map((r) => r.payout)).toEqual([0, 2]);
+    expect(history[0].results.map((r) => r.contribution)).toEqual([1, 1]);
+  });
+});
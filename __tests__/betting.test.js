@@ -0,0 +1,50 @@
+import {
+  applyBettingAction,
+  createBettingHand,
+  getLegalActions,
+} from '../engine';
+
+// Blinds of 1 and 2 with the button on seat 0
+const start = (stacks) =>
+  createBettingHand({ stacks, dealer: 0, smallBlind: 1, bigBlind: 2 });
+
+const play = (state, ...actions) => actions.reduce(applyBettingAction, state);
+
+describe('betting', () => {
+  it('raises by at least the last full raise', () => {
+    const state = start([100, 100, 100]);
+    expect(getLegalActions(state)).toMatchObject({ seat: 0, minRaiseTo: 4 });
+    expect(() => play(state, { type: 'raise', amount: 3 })).toThrow(
+      expect.objectContaining({ code: 'ILLEGAL_ACTION' })
+    );
+
+    const raised = play(state, { type: 'raise', amount: 6 });
+    expect(getLegalActions(raised)).toMatchObject({ seat: 1, minRaiseTo: 10 });
+  });
+
+  it('does not reopen the raising for a short all-in', () => {
+    const state = play(
+      start([100, 100, 9]),
+      { type: 'raise', amount: 6 },
+      { type: 'call' },
+      { type: 'allIn' }
+    );
+    expect(state.currentBet).toBe(9);
+    expect(getLegalActions(state)).toMatchObject({
+      seat: 0,
+      actions: ['fold', 'call'],
+      callAmount: 3,
+    });
+  });
+
+  it('gives back a bet nobody called', () => {
+    const state = play(
+      start([100, 100]),
+      { type: 'raise', amount: 10 },
+      { type: 'fold' }
+    );
+    expect(state).toMatchObject({ complete: true, winner: 0, pot: 4 });
+    expect(state.players[0]).toMatchObject({ stack: 98, contribution: 2 });
+    expect(state.log[state.log.length - 1].text).toBe('gets 8 uncalled back');
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  buildDeck,
+  dealHand,
+  EngineError,
+  isValidCard,
+  parseCard,
+  parseTableNotation,
+  SHORT_DECK_RANKS,
+  suits,
+  validateCards,
+} from '../engine';
+
+const symbolOf = (code) => suits.find((s) => s.code === code).symbol;
+
+describe('parseCard', () => {
+  it('splits a card into rank, suit and symbol', () => {
+    expect(parseCard('As')).toEqual({
+      rank: 'A',
+      suit: 's',
+      symbol: symbolOf('s'),
+    });
+    expect(parseCard('Td')).toMatchObject({ rank: 'T', suit: 'd' });
+    expect(parseCard('2c')).toMatchObject({ rank: '2', suit: 'c' });
+  });
+
+  it.each(['', 'A', 'Ass', '1s', '10h', 'as', 'AS', 'Ax', null, undefined, 14])(
+    'rejects %p',
+    (card) => {
+      expect(parseCard(card)).toBeNull();
+      expect(isValidCard(card)).toBe(false);
+    }
+  );
+});
+
+describe('validateCards', () => {
+  it('accepts distinct valid cards', () => {
+    expect(() => validateCards(['As', 'Kd', '2c', 'Th'])).not.toThrow();
+  });
+
+  it('rejects a card used twice', () => {
+    expect(() => validateCards(['As', 'Kd', 'As'])).toThrow(EngineError);
+    expect(() => validateCards(['As', 'Kd', 'As'])).toThrow(
+      expect.objectContaining({ code: 'DUPLICATE_CARD' })
+    );
+  });
+
+  it('rejects invalid cards and cards outside the deck', () => {
+    expect(() => validateCards(['As', 'Zz'])).toThrow(
+      expect.objectContaining({ code: 'INVALID_CARD' })
+    );
+    expect(() => validateCards(['2d'], SHORT_DECK_RANKS)).toThrow(
+      expect.objectContaining({ code: 'INVALID_CARD' })
+    );
+  });
+});
+
+describe('buildDeck', () => {
+  it('holds every card once, minus the excluded ones', () => {
+    const deck = buildDeck(['As', 'Kd']);
+    expect(deck).toHaveLength(50);
+    expect(new Set(deck).size).toBe(50);
+    expect(deck).not.toContain('As');
+    expect(deck).not.toContain('Kd');
+  });
+
+  it('leaves out 2 through 5 in Short Deck', () => {
+    const deck = buildDeck([], SHORT_DECK_RANKS);
+    expect(deck).toHaveLength(36);
+    expect(deck.some((card) => '2345'.includes(card[0]))).toBe(false);
+  });
+});
+
+describe('dealHand', () => {
+  it("deals the game's board", () => {
+    expect(dealHand(2, { seed: 1 }).board).toHaveLength(5);
+    const stud = dealHand(2, { holeCards: 7, boardCards: 0, seed: 1 });
+    expect(stud.board).toEqual([]);
+    expect(stud.hands.map((h) => h.length)).toEqual([7, 7]);
+  });
+
+  it('counts the board when the deck runs short', () => {
+    expect(() => dealHand(24)).toThrow(
+      'A deck cannot deal 2 cards to 24 players and a board of 5 cards.'
+    );
+  });
+});
+
+describe('parseTableNotation', () => {
+  it('reads hands and a board', () => {
+    expect(parseTableNotation('AsKd / qh10h | 7s8s9d 2c')).toEqual({
+      players: [
+        ['As', 'Kd'],
+        ['Qh', 'Th'],
+      ],
+      community: ['7s', '8s', '9d', '2c', ''],
+    });
+  });
+
+  it('rejects a card that is already on the table', () => {
+    expect(() => parseTableNotation('AsKd / AsQc')).toThrow(
+      expect.objectContaining({ code: 'DUPLICATE_CARD' })
+    );
+    expect(() => parseTableNotation('AsKd', { used: ['Kd'] })).toThrow(
+      expect.objectContaining({ code: 'DUPLICATE_CARD' })
+    );
+  });
+
+  it("rejects cards outside the game's deck and board", () => {
+    expect(() =>
+      parseTableNotation('As2d / KhKd', { ranks: SHORT_DECK_RANKS })
+    ).toThrow(expect.objectContaining({ code: 'INVALID_CARD' }));
+    const stud = { holeCards: 7, boardCards: 0 };
+    expect(() => parseTableNotation('AsKsQsJsTs9s8s | 2c', stud)).toThrow(
+      expect.objectContaining({ code: 'TOO_MANY_BOARD_CARDS' })
+    );
+    expect(parseTableNotation('AsKsQsJsTs9s8s', stud).players).toHaveLength(1);
+  });
+});
@@ -0,0 +1,32 @@
+import { calculateEquity, calculateRangeEquity } from '../engine';
+
+describe('calculateEquity', () => {
+  it('counts every river exactly', () => {
+    const { exact, runouts, players } = calculateEquity(
+      [
+        ['As', 'Ad'],
+        ['Kh', 'Kd'],
+      ],
+      ['2c', '7d', '9h', 'Js']
+    );
+    expect(exact).toBe(true);
+    expect(runouts).toBe(44);
+    // Only the two kings left give Bob a set
+    expect(players[1].win).toBeCloseTo((2 / 44) * 100);
+    expect(players[0].win + players[1].win).toBeCloseTo(100);
+  });
+});
+
+describe('calculateRangeEquity', () => {
+  it('never deals dead cards', () => {
+    const ranges = [[['As', 'Ad']], [['Kh', 'Kd']]];
+    const board = ['2c', '7d', '9h', 'Js'];
+    const live = calculateRangeEquity(ranges, board);
+    expect(live.runouts).toBe(44);
+    expect(live.players[1].win).toBeCloseTo((2 / 44) * 100);
+
+    const dead = calculateRangeEquity(ranges, board, { dead: ['Ks', 'Kc'] });
+    expect(dead).toMatchObject({ exact: true, runouts: 42 });
+    expect(dead.players[0].win).toBe(100);
+  });
+});
@@ -0,0 +1,58 @@
+import { formatPokerStarsHand, parsePokerStarsHand } from '../engine';
+
+describe('PokerStars hand histories', () => {
+  it('reads back the hands it writes', () => {
+    const hand = {
+      handId: 42,
+      players: [
+        { name: 'Alice', cards: ['As', 'Ad'], contribution: 100 },
+        { name: 'Bob', cards: ['Kh', 'Kd'], contribution: 100 },
+        { name: 'Cy', cards: ['', ''], folded: true },
+      ],
+      community: ['2c', '7d', '9h', 'Js', '3c'],
+    };
+    const parsed = parsePokerStarsHand(formatPokerStarsHand(hand));
+    expect(parsed.handId).toBe('42');
+    expect(parsed.community).toEqual(hand.community);
+    expect(parsed.players).toEqual([
+      {
+        ...hand.players[0],
+        seat: 1,
+        contribution: '100',
+        folded: false,
+        unknown: false,
+      },
+      {
+        ...hand.players[1],
+        seat: 2,
+        contribution: '100',
+        folded: false,
+        unknown: false,
+      },
+      {
+        ...hand.players[2],
+        seat: 3,
+        contribution: '',
+        folded: true,
+        unknown: false,
+      },
+    ]);
+  });
+
+  it('writes stacks and the cards a seat did show', () => {
+    const text = formatPokerStarsHand({
+      players: [
+        { name: 'Alice', cards: ['As', 'Ad'], contribution: 100, stack: 500 },
+        { name: 'Bob', cards: ['Kh', ''], contribution: 100 },
+      ],
+      community: ['2c', '7d', '9h', 'Js', '3c'],
+    });
+    expect(text).toMatch(/^Seat 1: Alice \(500 in chips\)$/m);
+    expect(text).toMatch(/^Seat 2: Bob \(100 in chips\)$/m);
+    expect(text).toMatch(/^Bob: shows \[Kh\]$/m);
+    expect(parsePokerStarsHand(text).players[1]).toMatchObject({
+      cards: ['Kh', ''],
+      unknown: true,
+    });
+  });
+});
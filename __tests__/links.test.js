@@ -0,0 +1,63 @@
+import { formatTableLink, parseTableLink } from '../engine';
+
+const BASE = 'holdem://table';
+
+describe('table links', () => {
+  it('keeps chips, stacks, folds, unshown hands and ranges', () => {
+    const table = {
+      players: [
+        { name: 'Alice', cards: ['As', 'Ad'], contribution: '40', stack: '60' },
+        { name: 'Bob', cards: ['', ''], contribution: '20', folded: true },
+        { name: 'Cy', cards: ['', ''], unknown: true },
+        { name: 'Di', cards: ['', ''], range: 'QQ+,AKs' },
+      ],
+      community: ['2c', '7d', '9h', '', ''],
+      gameMode: 'holdem',
+      hiLo: false,
+      dealer: 1,
+      showResults: false,
+    };
+    expect(parseTableLink(formatTableLink(table, BASE))).toEqual({
+      ...table,
+      players: [
+        { ...table.players[0] },
+        { ...table.players[1], stack: '' },
+        { ...table.players[2], contribution: '', stack: '' },
+        { ...table.players[3], contribution: '', stack: '' },
+      ],
+    });
+  });
+
+  it('refuses a link that was edited', () => {
+    const url = formatTableLink(
+      {
+        players: [
+          { name: 'Alice', cards: ['As', 'Ad'] },
+          { name: 'Bob', cards: ['Kh', 'Kd'] },
+        ],
+        community: ['2c', '7d', '9h', 'Js', '3c'],
+      },
+      BASE
+    );
+    expect(() => parseTableLink(url.replace('AsAd', 'AsAc'))).toThrow(
+      expect.objectContaining({ code: 'INVALID_LINK' })
+    );
+  });
+
+  it('refuses a board in Stud', () => {
+    const url = formatTableLink(
+      {
+        players: ['A', 'B'].map((name) => ({
+          name,
+          cards: Array(7).fill(''),
+        })),
+        community: ['2c', '', '', '', ''],
+        gameMode: 'stud',
+      },
+      BASE
+    );
+    expect(() => parseTableLink(url)).toThrow(
+      expect.objectContaining({ code: 'INVALID_LINK' })
+    );
+  });
+});
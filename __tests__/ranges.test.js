@@ -0,0 +1,18 @@
+import { formatRange, parseRange } from '../engine';
+
+describe('ranges', () => {
+  it('expands shorthand and writes it back', () => {
+    const classes = parseRange('QQ+, AKs, A5s-A2s');
+    expect(classes).toEqual(
+      expect.arrayContaining(['AA', 'KK', 'QQ', 'AKs', 'A5s', 'A2s'])
+    );
+    expect(classes).toHaveLength(8);
+    expect(formatRange(classes)).toBe('QQ+, AKs, A5s-A2s');
+  });
+
+  it('names the part it cannot read', () => {
+    expect(() => parseRange('QQ+, AXs')).toThrow(
+      expect.objectContaining({ code: 'INVALID_RANGE' })
+    );
+  });
+});
@@ -0,0 +1,347 @@
+import { evaluateShowdown, evaluateTable } from '../engine';
+
+// Seats named A, B, C... holding `hands`, with optional chips per seat
+const table = (hands, community, { contributions, ...options } = {}) => ({
+  players: hands.map((cards, i) => ({
+    name: String.fromCharCode(65 + i),
+    cards,
+    ...(contributions ? { contribution: contributions[i] } : {}),
+  })),
+  community,
+  ...options,
+});
+
+const showdown = (...args) => evaluateShowdown(table(...args));
+
+const winners = ({ results }) =>
+  results.filter((r) => r.isWinner).map((r) => r.name);
+
+describe('winner across hand categories', () => {
+  // Each winner holds the named category and beats the category below it
+  it.each([
+    ['High Card', ['2c', '5d', '8h', 'Js', 'Kd'], ['As', '3c'], ['Qh', '4s']],
+    ['Pair', ['2c', '5d', '8h', 'Js', 'Kd'], ['Kh', '3c'], ['Ah', 'Qc']],
+    ['Two Pair', ['2c', '5d', '8h', 'Js', 'Kd'], ['Kh', 'Jc'], ['Ks', 'Qs']],
+    [
+      'Three of a Kind',
+      ['2c', '5d', '8h', 'Js', 'Kd'],
+      ['8s', '8d'],
+      ['Kh', 'Jc'],
+    ],
+    ['Straight', ['4c', '5d', '6h', 'Js', 'Kd'], ['7s', '8c'], ['Kh', 'Ks']],
+    ['Flush', ['2h', '7h', 'Jh', '5c', 'Kd'], ['Ah', '3h'], ['6s', '4s']],
+    ['Full House', ['2h', '7h', 'Jh', '7c', 'Kd'], ['Jc', 'Js'], ['Ah', '3h']],
+    [
+      'Four of a Kind',
+      ['7s', '7h', 'Jh', '7c', 'Kd'],
+      ['7d', '2c'],
+      ['Jc', 'Js'],
+    ],
+    [
+      'Straight Flush',
+      ['9h', 'Th', 'Jh', '2c', '2d'],
+      ['Qh', '8h'],
+      ['2h', '2s'],
+    ],
+  ])('%s wins', (category, board, winner, loser) => {
+    const outcome = showdown([loser, winner], board);
+    expect(winners(outcome)).toEqual(['B']);
+    expect(outcome.results[1].handName).toBe(category);
+    expect(outcome.results[1].explanation).toEqual(expect.any(String));
+    expect(outcome.results[0].explanation).toBeNull();
+  });
+
+  it('names a royal flush', () => {
+    const { results } = showdown(
+      [
+        ['Ah', 'Kh'],
+        ['As', 'Ad'],
+      ],
+      ['Qh', 'Jh', 'Th', '2c', '3d']
+    );
+    expect(results[0].description).toBe('Royal Flush');
+    expect(results[0].isWinner).toBe(true);
+  });
+
+  it('reports the best five cards and which came from the hand', () => {
+    const { results } = showdown(
+      [
+        ['Kh', '3c'],
+        ['Ah', 'Qc'],
+      ],
+      ['2c', '5d', '8h', 'Js', 'Kd']
+    );
+    expect(results[0].bestCards).toHaveLength(5);
+    expect(results[0].holeCardsUsed).toEqual(['Kh']);
+    expect(results[0].boardCardsUsed).toEqual(
+      expect.arrayContaining(['Kd', 'Js', '8h'])
+    );
+  });
+});
+
+describe('straights', () => {
+  it('counts A-2-3-4-5 as a straight', () => {
+    const { results } = showdown(
+      [
+        ['5d', 'Kc'],
+        ['9d', '9s'],
+      ],
+      ['Ac', '2d', '3h', '4s', '9c']
+    );
+    expect(results[0].handName).toBe('Straight');
+    expect(results[0].isWinner).toBe(true);
+  });
+
+  it('ranks the wheel below a six-high straight', () => {
+    const outcome = showdown(
+      [
+        ['5d', 'Kc'],
+        ['5c', '6d'],
+      ],
+      ['Ac', '2d', '3h', '4s', '9c']
+    );
+    expect(winners(outcome)).toEqual(['B']);
+  });
+
+  it('does not wrap around the ace', () => {
+    const { results } = showdown(
+      [
+        ['Qd', '2c'],
+        ['9d', '9s'],
+      ],
+      ['Kc', 'Ad', '3h', '4s', '8c']
+    );
+    expect(results[0].handName).toBe('High Card');
+  });
+});
+
+describe('kickers', () => {
+  it('decides a pair by the kicker', () => {
+    const outcome = showdown(
+      [
+        ['Ks', 'Ad'],
+        ['Kh', 'Qd'],
+      ],
+      ['Kc', '8d', '5h', '3s', '2c']
+    );
+    expect(winners(outcome)).toEqual(['A']);
+    expect(outcome.results[0].explanation).toMatch(/kicker/);
+  });
+
+  it('ignores a kicker that does not make the best five cards', () => {
+    const outcome = showdown(
+      [
+        ['As', '3d'],
+        ['Ah', '2d'],
+      ],
+      ['Kc', 'Kd', '8h', '8s', 'Qc']
+    );
+    expect(winners(outcome)).toEqual(['A', 'B']);
+  });
+
+  it('splits when the board counterfeits both pairs', () => {
+    const outcome = showdown(
+      [
+        ['2c', '2d'],
+        ['3c', '3d'],
+      ],
+      ['9c', '9d', '5h', '5s', 'Kc']
+    );
+    expect(winners(outcome)).toEqual(['A', 'B']);
+  });
+});
+
+describe('split pots', () => {
+  it('splits when the board plays', () => {
+    const { results, pots } = showdown(
+      [
+        ['2c', '3d'],
+        ['4c', '5d'],
+      ],
+      ['Ah', 'Kh', 'Qh', 'Jh', 'Th'],
+      { contributions: [100, 100] }
+    );
+    expect(results.map((r) => r.isWinner)).toEqual([true, true]);
+    expect(results.map((r) => r.payout)).toEqual([100, 100]);
+    expect(pots).toHaveLength(1);
+  });
+
+  it('splits a three-way pot between the two best hands', () => {
+    const outcome = showdown(
+      [
+        ['8c', '2d'],
+        ['Kc', 'Kd'],
+        ['8s', '3d'],
+      ],
+      ['4c', '5d', '6h', '7s', 'Qd'],
+      { contributions: [50, 50, 50] }
+    );
+    expect(winners(outcome)).toEqual(['A', 'C']);
+    expect(outcome.results.map((r) => r.payout)).toEqual([75, 0, 75]);
+  });
+
+  it('gives the odd chip by the odd chip rule', () => {
+    const hands = [
+      ['8c', '2d'],
+      ['8s', '3d'],
+      ['Kc', 'Kd'],
+    ];
+    const board = ['4c', '5d', '6h', '7s', 'Qd'];
+    const payouts = (oddChipRule) =>
+      showdown(hands, board, {
+        contributions: [1, 1, 1],
+        oddChipRule,
+      }).results.map((r) => r.payout);
+    expect(payouts('first')).toEqual([2, 1, 0]);
+    expect(payouts('last')).toEqual([1, 2, 0]);
+  });
+
+  it('pays side pots to the best hand that contested them', () => {
+    const { results, pots } = showdown(
+      [
+        ['As', 'Ad'],
+        ['Ks', 'Kd'],
+        ['Qs', 'Qd'],
+      ],
+      ['2c', '7d', '9h', 'Js', '3c'],
+      { contributions: [50, 100, 100] }
+    );
+    expect(pots).toHaveLength(2);
+    expect(results.map((r) => r.payout)).toEqual([150, 100, 0]);
+  });
+
+  it('never pays a folded player', () => {
+    const outcome = evaluateShowdown({
+      players: [
+        { name: 'A', cards: ['As', 'Ad'], contribution: 100, folded: true },
+        { name: 'B', cards: ['7c', '2d'], contribution: 100 },
+        { name: 'C', cards: ['8c', '3d'], contribution: 100 },
+      ],
+      community: ['Kc', 'Jd', '9h', '4s', '5c'],
+    });
+    expect(outcome.results[0]).toMatchObject({
+      folded: true,
+      isWinner: false,
+      payout: 0,
+    });
+    expect(winners(outcome)).toEqual(['C']);
+    expect(outcome.results[2].payout).toBe(300);
+  });
+
+  it('scoops a hi-lo pot with a wheel', () => {
+    const { results } = showdown(
+      [
+        ['4s', '5c'],
+        ['Kh', 'Ks'],
+      ],
+      ['As', '2d', '3h', '8c', 'Kd'],
+      { contributions: [100, 100], hiLo: true }
+    );
+    expect(results[0]).toMatchObject({
+      isWinner: true,
+      isLowWinner: true,
+      scoop: true,
+      payout: 200,
+    });
+  });
+});
+
+describe('game rules', () => {
+  it('uses exactly two hole cards in Omaha', () => {
+    const outcome = showdown(
+      [
+        ['2d', '2s', '7c', '8c'],
+        ['Ts', '9d', '3s', '4s'],
+      ],
+      ['Ah', 'Kh', 'Qh', 'Jh', '2c'],
+      { gameMode: 'plo4' }
+    );
+    expect(outcome.results[0].handName).toBe('Three of a Kind');
+    expect(outcome.results[1].handName).toBe('Straight');
+    expect(winners(outcome)).toEqual(['B']);
+  });
+
+  it('ranks a flush above a full house in Short Deck', () => {
+    const outcome = showdown(
+      [
+        ['Jc', 'Js'],
+        ['Ah', '6h'],
+      ],
+      ['8h', '7h', 'Jh', '7c', 'Kd'],
+      { gameMode: 'shortdeck' }
+    );
+    expect(winners(outcome)).toEqual(['B']);
+  });
+});
+
+describe('invalid tables', () => {
+  it('needs the whole board', () => {
+    expect(() =>
+      showdown(
+        [
+          ['As', 'Ad'],
+          ['Ks', 'Kd'],
+        ],
+        ['2c', '7d', '9h', '', '']
+      )
+    ).toThrow(expect.objectContaining({ code: 'INCOMPLETE_BOARD' }));
+  });
+
+  it('refuses a card used twice', () => {
+    expect(() =>
+      showdown(
+        [
+          ['As', 'Ad'],
+          ['As', 'Kd'],
+        ],
+        ['2c', '7d', '9h', 'Js', '3c']
+      )
+    ).toThrow(expect.objectContaining({ code: 'DUPLICATE_CARD' }));
+  });
+});
+
+describe('evaluateTable', () => {
+  it('runs a showdown when every card is shown', () => {
+    const outcome = evaluateTable(
+      table(
+        [
+          ['As', 'Ad'],
+          ['Ks', 'Kd'],
+        ],
+        ['2c', '7d', '9h', 'Js', '3c']
+      )
+    );
+    expect(outcome.hidden).toBe(false);
+    expect(winners(outcome)).toEqual(['A']);
+  });
+
+  it("gives each player's chances when cards were never shown", () => {
+    const outcome = evaluateTable({
+      players: [
+        { name: 'A', cards: ['As', 'Ad'] },
+        { name: 'B', cards: ['', ''], unknown: true },
+      ],
+      community: ['2c', '7d', '9h', 'Js', '3c'],
+    });
+    expect(outcome.hidden).toBe(true);
+    expect(outcome.pots).toEqual([]);
+    const [a, b] = outcome.results;
+    expect(a.ahead.share + b.ahead.share).toBeCloseTo(100);
+    expect(a.ahead.win).toBeGreaterThan(b.ahead.win);
+  });
+
+  it('keeps folded seats in place when cards were never shown', () => {
+    const outcome = evaluateTable({
+      players: [
+        { name: 'F', cards: ['', ''], folded: true },
+        { name: 'A', cards: ['As', 'Ad'] },
+        { name: 'U', cards: ['', ''], unknown: true },
+      ],
+      community: ['2c', '7d', '9h', 'Js', '3c'],
+    });
+    expect(outcome.results.map((r) => r.name)).toEqual(['F', 'A', 'U']);
+    expect(outcome.results[0]).toMatchObject({ folded: true, ahead: null });
+    expect(outcome.results[1].description).toMatch(/^Pair/);
+    expect(outcome.results[2].unknown).toBe(true);
+  });
+});
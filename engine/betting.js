@@ -0,0 +1,324 @@
+import { EngineError } from './errors.js';
+
+/**
+ * Betting rounds in order. A hand is over at `'showdown'`, or earlier when
+ * everyone but one player folds.
+ */
+export const BETTING_STREETS = ['preflop', 'flop', 'turn', 'river', 'showdown'];
+
+const SHOWDOWN = BETTING_STREETS.length - 1;
+
+const isWholeChips = (n) => Number.isInteger(n) && n >= 0;
+
+// Players still holding cards who can put more chips in
+const canAct = (p) => !p.folded && !p.allIn;
+
+// Next seat after `from` that still owes an action this round, or null when
+// the round is closed
+const nextToAct = (state, from) => {
+  const count = state.players.length;
+  for (let step = 1; step <= count; step++) {
+    const seat = (from + step) % count;
+    const p = state.players[seat];
+    if (canAct(p) && (!p.acted || p.committed < state.currentBet)) return seat;
+  }
+  return null;
+};
+
+// Put up to `amount` of a player's stack into the pot
+const commit = (p, amount) => {
+  const chips = Math.min(amount, p.stack);
+  p.stack -= chips;
+  p.committed += chips;
+  p.contribution += chips;
+  if (p.stack === 0) p.allIn = true;
+  return chips;
+};
+
+const copyState = (state) => ({
+  ...state,
+  players: state.players.map((p) => ({ ...p })),
+  log: [...state.log],
+});
+
+// Give back the part of the biggest bet that nobody matched
+const returnUncalled = (state) => {
+  const order = state.players
+    .map((p, seat) => seat)
+    .sort((a, b) => state.players[b].committed - state.players[a].committed);
+  const [top, second] = order;
+  const excess =
+    state.players[top].committed - (state.players[second]?.committed || 0);
+  if (excess > 0) {
+    const p = state.players[top];
+    p.stack += excess;
+    p.committed -= excess;
+    p.contribution -= excess;
+    p.allIn = false;
+    state.pot -= excess;
+    state.log.push({
+      street: state.street,
+      seat: top,
+      text: `gets ${excess} uncalled back`,
+    });
+  }
+};
+
+// Move on once nobody owes an action: end the hand, or start the next street
+const closeRound = (state) => {
+  returnUncalled(state);
+  const live = state.players
+    .map((p, seat) => (p.folded ? -1 : seat))
+    .filter((seat) => seat >= 0);
+  if (live.length === 1) {
+    state.winner = live[0];
+    state.toAct = null;
+    state.complete = true;
+    return;
+  }
+
+  state.players.forEach((p) => {
+    p.committed = 0;
+    p.acted = false;
+    p.canRaise = true;
+  });
+  state.currentBet = 0;
+  state.minRaise = state.setup.bigBlind;
+  // With at most one player able to bet, the rest of the board just runs out
+  state.street =
+    state.players.filter(canAct).length < 2 ? SHOWDOWN : state.street + 1;
+  state.complete = state.street === SHOWDOWN;
+  state.toAct = state.complete ? null : nextToAct(state, state.setup.dealer);
+};
+
+/**
+ * Start a hand: post antes and blinds and find the first player to act.
+ * Heads-up, the dealer posts the small blind.
+ * @param {Object} setup
+ * @param {number[]} setup.stacks Chips each seat starts with.
+ * @param {number} [setup.dealer] Seat with the dealer button.
+ * @param {number} setup.smallBlind
+ * @param {number} setup.bigBlind
+ * @param {number} [setup.ante] Posted by every seat.
+ * @returns {Object} The betting state, for `getLegalActions` and
+ *   `applyBettingAction`. `players` holds each seat's `stack`, `committed`
+ *   (this street), `contribution` (this hand), `folded` and `allIn`;
+ *   `winner` is the seat that took the pot uncontested, or `null`.
+ * @throws {EngineError} `INVALID_BETTING_SETUP`.
+ */
+export const createBettingHand = ({
+  stacks,
+  dealer = 0,
+  smallBlind,
+  bigBlind,
+  ante = 0,
+}) => {
+  if (stacks.length < 2) {
+    throw new EngineError(
+      'INVALID_BETTING_SETUP',
+      'At least 2 players are required to record betting.'
+    );
+  }
+  if (!stacks.every((s) => isWholeChips(s) && s > 0)) {
+    throw new EngineError(
+      'INVALID_BETTING_SETUP',
+      'Every player needs a stack of at least 1 chip.'
+    );
+  }
+  if (
+    !isWholeChips(smallBlind) ||
+    !isWholeChips(ante) ||
+    !(bigBlind > 0 && Number.isInteger(bigBlind)) ||
+    smallBlind > bigBlind
+  ) {
+    throw new EngineError(
+      'INVALID_BETTING_SETUP',
+      'The big blind must be at least 1 chip and no smaller than the small blind.'
+    );
+  }
+
+  const count = stacks.length;
+  const state = {
+    setup: { stacks: [...stacks], dealer, smallBlind, bigBlind, ante },
+    street: 0,
+    players: stacks.map((stack) => ({
+      stack,
+      committed: 0,
+      contribution: 0,
+      folded: false,
+      allIn: false,
+      acted: false,
+      canRaise: true,
+    })),
+    pot: 0,
+    currentBet: 0,
+    minRaise: bigBlind,
+    toAct: null,
+    winner: null,
+    complete: false,
+    lastAction: null,
+    log: [],
+  };
+
+  if (ante > 0) {
+    state.players.forEach((p, seat) => {
+      const chips = commit(p, ante);
+      // Antes are dead money: they do not count toward calling a bet
+      p.committed = 0;
+      state.pot += chips;
+      state.log.push({ street: 0, seat, text: `posts ante ${chips}` });
+    });
+  }
+
+  const smallSeat = count === 2 ? dealer : (dealer + 1) % count;
+  const bigSeat = (smallSeat + 1) % count;
+  [
+    [smallSeat, smallBlind, 'small blind'],
+    [bigSeat, bigBlind, 'big blind'],
+  ].forEach(([seat, amount, name]) => {
+    if (amount === 0) return;
+    const chips = commit(state.players[seat], amount);
+    state.pot += chips;
+    state.log.push({ street: 0, seat, text: `posts ${name} ${chips}` });
+  });
+  state.currentBet = Math.max(...state.players.map((p) => p.committed));
+
+  state.toAct = nextToAct(state, bigSeat);
+  if (state.toAct === null) closeRound(state);
+  return state;
+};
+
+/**
+ * What the player to act may do.
+ * @param {Object} state From `createBettingHand` or `applyBettingAction`.
+ * @returns {{seat: number, actions: string[], callAmount: number,
+ *   minRaiseTo: number, maxRaiseTo: number} | null} `actions` is a subset of
+ *   `'fold'`, `'check'`, `'call'`, `'bet'`, `'raise'` and `'allIn'`. Bets
+ *   and raises are given as the player's total for the street, between
+ *   `minRaiseTo` and `maxRaiseTo`. `null` once the hand is over.
+ */
+export const getLegalActions = (state) => {
+  if (state.complete || state.toAct === null) return null;
+  const seat = state.toAct;
+  const p = state.players[seat];
+  const callAmount = Math.min(state.currentBet - p.committed, p.stack);
+  const minRaiseTo =
+    state.currentBet === 0
+      ? state.setup.bigBlind
+      : state.currentBet + state.minRaise;
+  const maxRaiseTo = p.committed + p.stack;
+  // Raising is pointless when nobody else has chips left to call with
+  const othersCanAct = state.players.some((o, i) => i !== seat && canAct(o));
+  const mayRaise = p.canRaise && othersCanAct;
+
+  const actions = ['fold'];
+  actions.push(callAmount > 0 ? 'call' : 'check');
+  if (mayRaise && maxRaiseTo >= minRaiseTo) {
+    actions.push(state.currentBet === 0 ? 'bet' : 'raise');
+  }
+  if (maxRaiseTo <= state.currentBet || mayRaise) actions.push('allIn');
+  return { seat, actions, callAmount, minRaiseTo, maxRaiseTo };
+};
+
+const illegal = (message) => new EngineError('ILLEGAL_ACTION', message);
+
+/**
+ * Apply the next player's action.
+ * @param {Object} state
+ * @param {{type: string, amount?: number}} action `amount` is the total to
+ *   bet or raise to on this street; other actions ignore it.
+ * @returns {Object} A new state; `state` is left unchanged.
+ * @throws {EngineError} `ILLEGAL_ACTION` when the action is not allowed,
+ *   including bets and raises below the minimum.
+ */
+export const applyBettingAction = (state, { type, amount }) => {
+  const legal = getLegalActions(state);
+  if (!legal) throw illegal('The betting for this hand is over.');
+  if (!legal.actions.includes(type)) {
+    throw illegal(`The player to act cannot ${type} here.`);
+  }
+
+  const next = copyState(state);
+  const seat = legal.seat;
+  const p = next.players[seat];
+  let raiseTo = null;
+  let text;
+
+  if (type === 'fold') {
+    p.folded = true;
+    text = 'folds';
+  } else if (type === 'check') {
+    text = 'checks';
+  } else if (type === 'call') {
+    const chips = commit(p, legal.callAmount);
+    next.pot += chips;
+    text = p.allIn ? `calls ${chips} and is all-in` : `calls ${chips}`;
+  } else if (type === 'bet' || type === 'raise') {
+    if (
+      !Number.isInteger(amount) ||
+      amount < legal.minRaiseTo ||
+      amount > legal.maxRaiseTo
+    ) {
+      throw illegal(
+        `The ${type} must be between ${legal.minRaiseTo} and ${legal.maxRaiseTo}.`
+      );
+    }
+    raiseTo = amount;
+  } else {
+    raiseTo = legal.maxRaiseTo;
+  }
+
+  if (raiseTo !== null) {
+    const before = next.currentBet;
+    next.pot += commit(p, raiseTo - p.committed);
+    if (type === 'allIn') {
+      text = `goes all-in for ${raiseTo}`;
+    } else {
+      text = type === 'bet' ? `bets ${raiseTo}` : `raises to ${raiseTo}`;
+      if (p.allIn) text += ' and is all-in';
+    }
+    if (raiseTo > before) {
+      const size = raiseTo - before;
+      // Only a full raise lets players who already acted raise again
+      const full = size >= next.minRaise;
+      if (full) next.minRaise = size;
+      next.currentBet = raiseTo;
+      next.players.forEach((o, i) => {
+        if (i === seat || !canAct(o)) return;
+        if (full) o.canRaise = true;
+        else if (o.acted) o.canRaise = false;
+        o.acted = false;
+      });
+    }
+  }
+
+  p.acted = true;
+  next.log.push({ street: next.street, seat, text });
+  next.lastAction = { seat, type, text };
+
+  const live = next.players.filter((o) => !o.folded).length;
+  next.toAct = live > 1 ? nextToAct(next, seat) : null;
+  if (next.toAct === null) closeRound(next);
+  return next;
+};
+
+/**
+ * Replay recorded actions from the start of a hand.
+ * @param {Object} setup As for `createBettingHand`.
+ * @param {{type: string, amount?: number}[]} actions
+ * @returns {Object[]} The state before any action, then the state after
+ *   each one.
+ * @throws {EngineError} `ILLEGAL_ACTION` naming the first action that could
+ *   not be applied.
+ */
+export const replayBetting = (setup, actions) => {
+  const states = [createBettingHand(setup)];
+  actions.forEach((action, i) => {
+    try {
+      states.push(applyBettingAction(states[states.length - 1], action));
+    } catch (e) {
+      throw illegal(`Action ${i + 1}: ${e.message}`);
+    }
+  });
+  return states;
+};
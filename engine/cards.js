@@ -0,0 +1,173 @@
+import { EngineError } from './errors.js';
+
+export const suits = [
+  { symbol: '♠️', code: 's' },
+  { symbol: '♥️', code: 'h' },
+  { symbol: '♦️', code: 'd' },
+  { symbol: '♣️', code: 'c' },
+];
+
+export const ranks = ['A', 'K', 'Q', 'J', 'T', '9', '8', '7', '6', '5', '4', '3', '2'];
+
+/** Ranks left in the 36-card Short Deck, which has no 2 through 5. */
+export const SHORT_DECK_RANKS = ranks.slice(0, ranks.indexOf('6') + 1);
+
+const suitSymbols = Object.fromEntries(suits.map((s) => [s.code, s.symbol]));
+
+/**
+ * Split a card such as `'As'` into its parts.
+ * @param {string} card Rank followed by suit code, e.g. `'Td'`.
+ * @returns {{rank: string, suit: string, symbol: string} | null} `null` when
+ *   the string is not a valid card.
+ */
+export const parseCard = (card) => {
+  if (typeof card !== 'string' || card.length !== 2) return null;
+  const rank = card[0];
+  const suit = card[1];
+  if (!ranks.includes(rank) || !suitSymbols[suit]) return null;
+  return { rank, suit, symbol: suitSymbols[suit] };
+};
+
+/**
+ * @param {string} card
+ * @returns {boolean} Whether `card` is one of the 52 cards.
+ */
+export const isValidCard = (card) => parseCard(card) !== null;
+
+/**
+ * Check that every card is valid and that no card appears twice.
+ * @param {string[]} cards
+ * @param {string[]} [deckRanks] Ranks in the deck being played.
+ * @throws {EngineError} `INVALID_CARD` or `DUPLICATE_CARD`.
+ */
+export const validateCards = (cards, deckRanks = ranks) => {
+  const seen = new Set();
+  cards.forEach((card) => {
+    if (!isValidCard(card)) {
+      throw new EngineError('INVALID_CARD', `"${card}" is not a valid card.`);
+    }
+    if (!deckRanks.includes(card[0])) {
+      throw new EngineError(
+        'INVALID_CARD',
+        `${card} is not in the deck for this game.`
+      );
+    }
+    if (seen.has(card)) {
+      throw new EngineError(
+        'DUPLICATE_CARD',
+        `${card} is used more than once.`
+      );
+    }
+    seen.add(card);
+  });
+};
+
+/**
+ * The deck in suit-then-rank order, minus `excluded`.
+ * @param {string[]} [excluded] Cards already dealt (hole cards, board, dead).
+ * @param {string[]} [deckRanks] Ranks in the deck; all 13 by default, or
+ *   `SHORT_DECK_RANKS`.
+ * @returns {string[]}
+ */
+export const buildDeck = (excluded = [], deckRanks = ranks) =>
+  suits
+    .flatMap((suit) => deckRanks.map((rank) => rank + suit.code))
+    .filter((card) => !excluded.includes(card));
+
+/**
+ * Small seedable PRNG (mulberry32) so sampled results are reproducible.
+ * @param {number} seed
+ * @returns {() => number} Uniform floats in [0, 1).
+ */
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a fresh deck and deal hole cards to each player plus a full board.
+ * The same seed and hand number always deal the same cards, so a drill of
+ * hands can be replayed from its seed.
+ * @param {number} playerCount
+ * @param {Object} [options]
+ * @param {number} [options.holeCards] Cards per player.
+ * @param {number} [options.boardCards] Board cards the game deals.
+ * @param {number} [options.seed] 32-bit seed for the shuffle.
+ * @param {number} [options.hand] Hand number within the drill.
+ * @param {string[]} [options.deckRanks] Ranks in the deck.
+ * @returns {{hands: string[][], board: string[]}}
+ * @throws {EngineError} `NOT_ENOUGH_CARDS` when the deck runs out.
+ */
+export const dealHand = (
+  playerCount,
+  { holeCards = 2, boardCards = 5, seed = 0, hand = 0, deckRanks = ranks } = {}
+) => {
+  const deck = buildDeck([], deckRanks);
+  const dealt = playerCount * holeCards;
+  if (dealt + boardCards > deck.length) {
+    throw new EngineError(
+      'NOT_ENOUGH_CARDS',
+      `A deck cannot deal ${holeCards} cards to ${playerCount} players` +
+        (boardCards ? ` and a board of ${boardCards} cards.` : '.')
+    );
+  }
+  const random = createRng((seed + Math.imul(hand, 0x9e3779b1)) >>> 0);
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return {
+    hands: Array.from({ length: playerCount }, (_, p) =>
+      deck.slice(p * holeCards, (p + 1) * holeCards)
+    ),
+    board: deck.slice(dealt, dealt + boardCards),
+  };
+};
+
+/**
+ * @returns {number} A random seed for `dealHand`, small enough to share.
+ */
+export const randomSeed = () => Math.floor(Math.random() * 1000000);
+
+/**
+ * @param {number} n
+ * @param {number} k
+ * @returns {number} n choose k.
+ */
+export const countCombinations = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return Math.round(result);
+};
+
+/**
+ * Call `callback` with every k-element combination of `items`. The array
+ * passed to the callback is reused, so copy it if you need to keep it.
+ * @param {Array} items
+ * @param {number} k
+ * @param {(picked: Array) => void} callback
+ */
+export const forEachCombination = (items, k, callback) => {
+  const picked = [];
+  const walk = (start) => {
+    if (picked.length === k) {
+      callback(picked);
+      return;
+    }
+    for (let i = start; i <= items.length - (k - picked.length); i++) {
+      picked.push(items[i]);
+      walk(i + 1);
+      picked.pop();
+    }
+  };
+  walk(0);
+};
@@ -0,0 +1,348 @@
+import {
+  buildDeck,
+  countCombinations,
+  createRng,
+  forEachCombination,
+} from './cards.js';
+import { EngineError } from './errors.js';
+import { encodeCard } from './evaluator.js';
+import { createScorer, evaluationsPerHand, getGameMode } from './games.js';
+import { createLowScorer, NO_LOW } from './lowball.js';
+
+// Exact enumeration is used while it needs at most this many five-card
+// evaluations; beyond that runouts are sampled, within the same budget
+export const EVALUATION_BUDGET = 1000000;
+export const MONTE_CARLO_SAMPLES = 20000;
+export const EQUITY_SEED = 20240101;
+
+// Scores showdowns and keeps each player's win/tie/lose counts and pot share,
+// reusing its buffers: this runs hundreds of thousands of times per call
+const createTally = (players, gameMode, hiLo) => {
+  const score = createScorer(gameMode);
+  const lowScore = hiLo ? createLowScorer(gameMode) : null;
+  const totals = Array.from({ length: players }, () => ({
+    win: 0,
+    tie: 0,
+    lose: 0,
+    share: 0,
+  }));
+  const scores = new Int32Array(players);
+  const lowScores = new Int32Array(players);
+  let runouts = 0;
+
+  const add = (holeCodes, fullBoard) => {
+    let best = -1;
+    let winners = 0;
+    let bestLow = NO_LOW;
+    let lowWinners = 0;
+    holeCodes.forEach((hole, i) => {
+      scores[i] = score(hole, fullBoard);
+      if (scores[i] > best) {
+        best = scores[i];
+        winners = 1;
+      } else if (scores[i] === best) {
+        winners++;
+      }
+      if (!lowScore) return;
+      lowScores[i] = lowScore(hole, fullBoard);
+      if (lowScores[i] > bestLow) {
+        bestLow = lowScores[i];
+        lowWinners = 1;
+      } else if (lowScores[i] === bestLow && bestLow !== NO_LOW) {
+        lowWinners++;
+      }
+    });
+    // Without a qualifying low the high hand takes the whole pot
+    const highPot = bestLow === NO_LOW ? 1 : 0.5;
+    totals.forEach((t, i) => {
+      let share = scores[i] === best ? highPot / winners : 0;
+      if (bestLow !== NO_LOW && lowScores[i] === bestLow) {
+        share += 0.5 / lowWinners;
+      }
+      if (share === 1) t.win++;
+      else if (share > 0) t.tie++;
+      else t.lose++;
+      t.share += share;
+    });
+    runouts++;
+  };
+
+  const result = (exact) => {
+    const percent = (count) => (count / runouts) * 100;
+    return {
+      exact,
+      runouts,
+      players: totals.map((t) => ({
+        win: percent(t.win),
+        tie: percent(t.tie),
+        lose: percent(t.lose),
+        share: percent(t.share),
+      })),
+    };
+  };
+
+  return { add, result };
+};
+
+// Sampled runouts per call: as many as fit the evaluation budget, within limits
+const defaultSamples = (costPerRunout) =>
+  Math.min(
+    MONTE_CARLO_SAMPLES,
+    Math.max(1000, Math.floor(EVALUATION_BUDGET / costPerRunout))
+  );
+
+/**
+ * Win/tie/lose percentages for each hand over every remaining runout, or a
+ * seeded sample of them when there are too many to enumerate. `share` is the
+ * average percentage of the pot won. In Hi-Lo a win is a scoop and a tie is
+ * any runout that wins part of the pot.
+ *
+ * Empty hole-card slots are unknown cards: they are dealt from the deck
+ * along with the runout, so a player whose cards were never shown counts as
+ * a random hand (or half a random hand when one card is known).
+ * @param {string[][]} hands Hole cards per player; `''` for an unknown card.
+ * @param {string[]} board Zero to five known board cards; none in Stud,
+ *   where the unknown cards are the players' own.
+ * @param {Object} [options]
+ * @param {string[]} [options.deck] Cards the runouts are drawn from. Defaults
+ *   to the deck minus the hole cards and board.
+ * @param {string} [options.gameMode] One of the `GAME_MODES` values.
+ * @param {boolean} [options.hiLo] Split each runout's pot between the best
+ *   high hand and the best eight-or-better low.
+ * @param {number} [options.seed] Seed for sampling.
+ * @param {number} [options.samples] Number of sampled runouts. Defaults to
+ *   as many as fit the evaluation budget, up to `MONTE_CARLO_SAMPLES`.
+ * @returns {{exact: boolean, runouts: number,
+ *   players: {win: number, tie: number, lose: number, share: number}[]}}
+ */
+export const calculateEquity = (
+  hands,
+  board,
+  {
+    gameMode = 'holdem',
+    deck = buildDeck([...hands.flat(), ...board], getGameMode(gameMode).ranks),
+    hiLo = false,
+    seed = EQUITY_SEED,
+    samples,
+  } = {}
+) => {
+  const { boardCards } = getGameMode(gameMode);
+  const missing = boardCards - board.length;
+  const costPerRunout =
+    hands.length * evaluationsPerHand(gameMode) * (hiLo ? 2 : 1);
+  const tally = createTally(hands.length, gameMode, hiLo);
+  const holeCodes = hands.map((cards) =>
+    cards.map((card) => (card ? encodeCard(card) : 0))
+  );
+  // Unknown hole cards per player, dealt before the runout
+  const unknown = hands
+    .map((cards, player) => ({
+      player,
+      slots: cards.map((card, i) => (card ? -1 : i)).filter((i) => i >= 0),
+    }))
+    .filter((u) => u.slots.length > 0);
+  const dealt = unknown.reduce((sum, u) => sum + u.slots.length, 0);
+  const fullBoard = new Int32Array(boardCards);
+  board.forEach((card, i) => {
+    fullBoard[i] = encodeCard(card);
+  });
+
+  const scoreRunout = (runout) => {
+    runout.forEach((code, i) => {
+      fullBoard[board.length + i] = code;
+    });
+    tally.add(holeCodes, fullBoard);
+  };
+
+  const deckCodes = deck.map(encodeCard);
+  let deals = countCombinations(deck.length - dealt, missing);
+  let left = deck.length;
+  unknown.forEach((u) => {
+    deals *= countCombinations(left, u.slots.length);
+    left -= u.slots.length;
+  });
+  const exact = deals * costPerRunout <= EVALUATION_BUDGET;
+  if (exact) {
+    // Each unknown hand from what is left, then each runout of the rest
+    const deal = (index, pool) => {
+      if (index === unknown.length) {
+        forEachCombination(pool, missing, scoreRunout);
+        return;
+      }
+      const { player, slots } = unknown[index];
+      forEachCombination(pool, slots.length, (cards) => {
+        cards.forEach((code, k) => {
+          holeCodes[player][slots[k]] = code;
+        });
+        const rest = pool.filter((code) => !cards.includes(code));
+        deal(index + 1, rest);
+      });
+    };
+    deal(0, deckCodes);
+  } else {
+    const random = createRng(seed);
+    const pool = [...deckCodes];
+    const runout = new Array(missing);
+    const sampleCount = samples || defaultSamples(costPerRunout);
+    for (let s = 0; s < sampleCount; s++) {
+      // Partial Fisher-Yates: only the unknown hole cards and the runout are
+      // needed
+      for (let i = 0; i < dealt + missing; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      let next = 0;
+      unknown.forEach(({ player, slots }) => {
+        slots.forEach((slot) => {
+          holeCodes[player][slot] = pool[next++];
+        });
+      });
+      for (let i = 0; i < missing; i++) runout[i] = pool[dealt + i];
+      scoreRunout(runout);
+    }
+  }
+  return tally.result(exact);
+};
+
+/**
+ * Hold'em equity with a range of possible holdings per player. Every deal of
+ * non-overlapping combinations and runout counts once, so card removal
+ * between the ranges, the board and exact hands is taken into account.
+ * Enumerates exactly within the evaluation budget and samples otherwise.
+ * @param {string[][][]} ranges Two-card combinations per player, e.g. from
+ *   `expandRange`; an exact hand is a list with one combination.
+ * @param {string[]} board Zero to five known board cards.
+ * @param {Object} [options]
+ * @param {string[]} [options.dead] Cards out of play, e.g. folded hands:
+ *   they are in no range and never come on the board.
+ * @param {number} [options.seed] Seed for sampling.
+ * @param {number} [options.samples] Number of sampled deals.
+ * @returns {{exact: boolean, runouts: number, players: {win: number,
+ *   tie: number, lose: number, share: number}[]}} Same shape as
+ *   `calculateEquity`.
+ * @throws {EngineError} `EMPTY_RANGE` when a player has no combinations left
+ *   or the ranges cannot be dealt without sharing a card.
+ */
+export const calculateRangeEquity = (
+  ranges,
+  board,
+  { dead = [], seed = EQUITY_SEED, samples } = {}
+) => {
+  const missing = 5 - board.length;
+  const boardCodes = board.map(encodeCard);
+  const outCodes = [...boardCodes, ...dead.map(encodeCard)];
+  const combos = ranges.map((list, i) => {
+    const kept = list
+      .map((combo) => combo.map(encodeCard))
+      .filter(([a, b]) => !outCodes.includes(a) && !outCodes.includes(b));
+    if (kept.length === 0) {
+      throw new EngineError(
+        'EMPTY_RANGE',
+        `Player ${i + 1} has no possible hands left with these cards.`
+      );
+    }
+    return kept;
+  });
+
+  const tally = createTally(ranges.length, 'holdem', false);
+  const used = new Uint8Array(52);
+  outCodes.forEach((code) => {
+    used[code] = 1;
+  });
+  const holeCodes = combos.map(() => [0, 0]);
+  const fullBoard = new Int32Array(5);
+  boardCodes.forEach((code, i) => {
+    fullBoard[i] = code;
+  });
+  const scoreRunout = (runout) => {
+    runout.forEach((code, i) => {
+      fullBoard[board.length + i] = code;
+    });
+    tally.add(holeCodes, fullBoard);
+  };
+
+  const deals = combos.reduce((product, list) => product * list.length, 1);
+  const unseen = buildDeck([...board, ...dead]).length - 2 * ranges.length;
+  const exact =
+    deals * countCombinations(unseen, missing) * ranges.length <=
+    EVALUATION_BUDGET;
+
+  if (exact) {
+    // Every non-overlapping deal, then every runout of the remaining deck
+    const deal = (player) => {
+      if (player === combos.length) {
+        const deck = [];
+        for (let code = 0; code < 52; code++) if (!used[code]) deck.push(code);
+        forEachCombination(deck, missing, scoreRunout);
+        return;
+      }
+      combos[player].forEach(([a, b]) => {
+        if (used[a] || used[b]) return;
+        used[a] = 1;
+        used[b] = 1;
+        holeCodes[player][0] = a;
+        holeCodes[player][1] = b;
+        deal(player + 1);
+        used[a] = 0;
+        used[b] = 0;
+      });
+    };
+    deal(0);
+  } else {
+    const random = createRng(seed);
+    const pick = (count) => Math.floor(random() * count);
+    const runout = new Array(missing);
+    const sampleCount = samples || defaultSamples(ranges.length);
+    for (let s = 0; s < sampleCount; s++) {
+      // Redeal until no two players share a card
+      let attempts = 0;
+      let dealt = 0;
+      while (dealt < combos.length) {
+        if (attempts++ > 1000) {
+          throw new EngineError(
+            'EMPTY_RANGE',
+            'These ranges cannot be dealt without sharing a card.'
+          );
+        }
+        dealt = 0;
+        for (; dealt < combos.length; dealt++) {
+          const [a, b] = combos[dealt][pick(combos[dealt].length)];
+          if (used[a] || used[b]) break;
+          used[a] = 1;
+          used[b] = 1;
+          holeCodes[dealt][0] = a;
+          holeCodes[dealt][1] = b;
+        }
+        if (dealt < combos.length) {
+          for (let i = 0; i < dealt; i++) {
+            used[holeCodes[i][0]] = 0;
+            used[holeCodes[i][1]] = 0;
+          }
+        }
+      }
+      for (let i = 0; i < missing; i++) {
+        let code = pick(52);
+        while (used[code]) code = pick(52);
+        used[code] = 1;
+        runout[i] = code;
+      }
+      scoreRunout(runout);
+      runout.forEach((code) => {
+        used[code] = 0;
+      });
+      holeCodes.forEach(([a, b]) => {
+        used[a] = 0;
+        used[b] = 0;
+      });
+    }
+  }
+
+  const result = tally.result(exact);
+  if (result.runouts === 0) {
+    throw new EngineError(
+      'EMPTY_RANGE',
+      'These ranges cannot be dealt without sharing a card.'
+    );
+  }
+  return result;
+};
@@ -0,0 +1,11 @@
+/**
+ * Error thrown by the engine for invalid input. `code` is stable and safe to
+ * branch on; `message` is meant to be shown to the user as-is.
+ */
+export class EngineError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EngineError';
+    this.code = code;
+  }
+}
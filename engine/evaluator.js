@@ -0,0 +1,671 @@
+// Fast hand evaluator over integer card codes. A card is encoded as
+// `rank * 4 + suit`, with ranks 0-12 for 2-A and suits in `suits` table
+// order (s, h, d, c). Hands are scored with a handful of 13-bit rank-mask
+// lookup tables, so no strings or objects are created per evaluation.
+
+const RANK_CHARS = '23456789TJQKA';
+const SUIT_CHARS = 'shdc';
+
+/**
+ * Hand categories, lowest first. The index is the category stored in a score
+ * and the names match pokersolver's `Hand#name`.
+ */
+export const HAND_CATEGORIES = [
+  'High Card',
+  'Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush',
+];
+
+const HIGH_CARD = 0;
+const PAIR = 1;
+const TWO_PAIR = 2;
+const THREE_OF_A_KIND = 3;
+const STRAIGHT = 4;
+const FLUSH = 5;
+const FULL_HOUSE = 6;
+const FOUR_OF_A_KIND = 7;
+const STRAIGHT_FLUSH = 8;
+
+const WHEEL = 0b1000000001111; // A-2-3-4-5
+const SHORT_WHEEL = 0b1000011110000; // A-6-7-8-9
+// Straight high card stored for A-6-7-8-9, below every other Short Deck
+// straight; no standard straight is four-high
+const SHORT_WHEEL_HIGH = 2;
+
+// Lookup tables indexed by a 13-bit mask of ranks
+const POPCOUNT = new Uint8Array(8192);
+const TOP_RANK = new Int8Array(8192);
+const STRAIGHT_HIGH = new Int8Array(8192);
+const TOP_FIVE = new Int32Array(8192);
+
+for (let mask = 0; mask < 8192; mask++) {
+  POPCOUNT[mask] = mask ? POPCOUNT[mask & (mask - 1)] + 1 : 0;
+  TOP_RANK[mask] = mask ? 31 - Math.clz32(mask) : 0;
+
+  STRAIGHT_HIGH[mask] = -1;
+  for (let high = 12; high >= 4; high--) {
+    const run = 0b11111 << (high - 4);
+    if ((mask & run) === run) {
+      STRAIGHT_HIGH[mask] = high;
+      break;
+    }
+  }
+  if (STRAIGHT_HIGH[mask] < 0 && (mask & WHEEL) === WHEEL) {
+    STRAIGHT_HIGH[mask] = 3;
+  }
+
+  // Up to five highest ranks packed four bits each, highest first
+  let packed = 0;
+  let rest = mask;
+  for (let i = 0; i < 5; i++) {
+    const top = rest ? 31 - Math.clz32(rest) : 0;
+    packed = (packed << 4) | top;
+    rest &= ~(1 << top);
+  }
+  TOP_FIVE[mask] = packed;
+}
+
+const topRanks = (mask, count) => TOP_FIVE[mask] >> (4 * (5 - count));
+
+/**
+ * @param {string} card e.g. `'As'`.
+ * @returns {number} Card code 0-51, or -1 when the card is not valid.
+ */
+export const encodeCard = (card) => {
+  const rank = RANK_CHARS.indexOf(card[0]);
+  const suit = SUIT_CHARS.indexOf(card[1]);
+  return rank < 0 || suit < 0 || card.length !== 2 ? -1 : rank * 4 + suit;
+};
+
+/**
+ * @param {number} code Card code 0-51.
+ * @returns {string} e.g. `'As'`.
+ */
+export const decodeCard = (code) =>
+  RANK_CHARS[code >> 2] + SUIT_CHARS[code & 3];
+
+/**
+ * Score the best five-card hand among `length` card codes (five to seven in
+ * practice). Higher scores win; equal scores split. The category is stored in
+ * bits 20 and up and the deciding ranks in four-bit groups below it.
+ * @param {number[] | Int32Array} codes
+ * @param {number} [length] How many entries of `codes` to use.
+ * @returns {number}
+ */
+export const evaluateCodes = (codes, length = codes.length) => {
+  let s0 = 0;
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  let one = 0;
+  let two = 0;
+  let three = 0;
+  let four = 0;
+
+  for (let i = 0; i < length; i++) {
+    const code = codes[i];
+    const bit = 1 << (code >> 2);
+    switch (code & 3) {
+      case 0:
+        s0 |= bit;
+        break;
+      case 1:
+        s1 |= bit;
+        break;
+      case 2:
+        s2 |= bit;
+        break;
+      default:
+        s3 |= bit;
+    }
+    four |= three & bit;
+    three |= two & bit;
+    two |= one & bit;
+    one |= bit;
+  }
+
+  let flush = 0;
+  if (POPCOUNT[s0] >= 5) flush = s0;
+  else if (POPCOUNT[s1] >= 5) flush = s1;
+  else if (POPCOUNT[s2] >= 5) flush = s2;
+  else if (POPCOUNT[s3] >= 5) flush = s3;
+
+  if (flush) {
+    const high = STRAIGHT_HIGH[flush];
+    if (high >= 0) return (STRAIGHT_FLUSH << 20) | (high << 16);
+  }
+
+  if (four) {
+    const quad = TOP_RANK[four];
+    return (
+      (FOUR_OF_A_KIND << 20) |
+      (quad << 16) |
+      (TOP_RANK[one & ~(1 << quad)] << 12)
+    );
+  }
+
+  if (three) {
+    const trips = TOP_RANK[three];
+    const pairs = two & ~(1 << trips);
+    if (pairs) {
+      return (FULL_HOUSE << 20) | (trips << 16) | (TOP_RANK[pairs] << 12);
+    }
+  }
+
+  if (flush) return (FLUSH << 20) | topRanks(flush, 5);
+
+  const straight = STRAIGHT_HIGH[one];
+  if (straight >= 0) return (STRAIGHT << 20) | (straight << 16);
+
+  if (three) {
+    const trips = TOP_RANK[three];
+    return (
+      (THREE_OF_A_KIND << 20) |
+      (trips << 16) |
+      (topRanks(one & ~(1 << trips), 2) << 8)
+    );
+  }
+
+  if (POPCOUNT[two] >= 2) {
+    const high = TOP_RANK[two];
+    const low = TOP_RANK[two & ~(1 << high)];
+    return (
+      (TWO_PAIR << 20) |
+      (high << 16) |
+      (low << 12) |
+      (TOP_RANK[one & ~((1 << high) | (1 << low))] << 8)
+    );
+  }
+
+  if (two) {
+    const pair = TOP_RANK[two];
+    return (PAIR << 20) | (pair << 16) | (topRanks(one & ~(1 << pair), 3) << 4);
+  }
+
+  return (HIGH_CARD << 20) | topRanks(one, 5);
+};
+
+// Short Deck ranks categories differently, so its scores carry the
+// category's position in this order in bits 24 and up: scores still compare
+// as plain numbers, and bits 20-23 still hold the `HAND_CATEGORIES` index
+const SHORT_DECK_ORDER = [
+  HIGH_CARD,
+  PAIR,
+  TWO_PAIR,
+  THREE_OF_A_KIND,
+  STRAIGHT,
+  FULL_HOUSE,
+  FLUSH,
+  FOUR_OF_A_KIND,
+  STRAIGHT_FLUSH,
+];
+const SHORT_DECK_TRIPS_ORDER = [
+  HIGH_CARD,
+  PAIR,
+  TWO_PAIR,
+  STRAIGHT,
+  THREE_OF_A_KIND,
+  FULL_HOUSE,
+  FLUSH,
+  FOUR_OF_A_KIND,
+  STRAIGHT_FLUSH,
+];
+
+const shortDeckScore = (order, category, ranks) =>
+  (order.indexOf(category) << 24) | (category << 20) | ranks;
+
+const shortStraightHigh = (mask) => {
+  const high = STRAIGHT_HIGH[mask];
+  if (high >= 0) return high;
+  return (mask & SHORT_WHEEL) === SHORT_WHEEL ? SHORT_WHEEL_HIGH : -1;
+};
+
+/**
+ * Score the best hand among card codes under Short Deck rules: a flush
+ * beats a full house and A-6-7-8-9 is the lowest straight. Scores compare
+ * with each other like `evaluateCodes` scores, but not with them.
+ * @param {number[] | Int32Array} codes Cards from the 36-card deck.
+ * @param {number} [length] How many entries of `codes` to use.
+ * @param {boolean} [tripsBeatStraight] Rank three of a kind above a
+ *   straight, as some rooms do.
+ * @returns {number}
+ */
+export const evaluateShortDeckCodes = (
+  codes,
+  length = codes.length,
+  tripsBeatStraight = false
+) => {
+  const order = tripsBeatStraight ? SHORT_DECK_TRIPS_ORDER : SHORT_DECK_ORDER;
+  let s0 = 0;
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  let one = 0;
+  let two = 0;
+  let three = 0;
+  let four = 0;
+
+  for (let i = 0; i < length; i++) {
+    const code = codes[i];
+    const bit = 1 << (code >> 2);
+    switch (code & 3) {
+      case 0:
+        s0 |= bit;
+        break;
+      case 1:
+        s1 |= bit;
+        break;
+      case 2:
+        s2 |= bit;
+        break;
+      default:
+        s3 |= bit;
+    }
+    four |= three & bit;
+    three |= two & bit;
+    two |= one & bit;
+    one |= bit;
+  }
+
+  let flush = 0;
+  if (POPCOUNT[s0] >= 5) flush = s0;
+  else if (POPCOUNT[s1] >= 5) flush = s1;
+  else if (POPCOUNT[s2] >= 5) flush = s2;
+  else if (POPCOUNT[s3] >= 5) flush = s3;
+
+  if (flush) {
+    const high = shortStraightHigh(flush);
+    if (high >= 0) return shortDeckScore(order, STRAIGHT_FLUSH, high << 16);
+  }
+
+  if (four) {
+    const quad = TOP_RANK[four];
+    return shortDeckScore(
+      order,
+      FOUR_OF_A_KIND,
+      (quad << 16) | (TOP_RANK[one & ~(1 << quad)] << 12)
+    );
+  }
+
+  if (flush) return shortDeckScore(order, FLUSH, topRanks(flush, 5));
+
+  const trips = TOP_RANK[three];
+  if (three) {
+    const pairs = two & ~(1 << trips);
+    if (pairs) {
+      return shortDeckScore(
+        order,
+        FULL_HOUSE,
+        (trips << 16) | (TOP_RANK[pairs] << 12)
+      );
+    }
+  }
+
+  // Checked before or after the straight depending on the ranking
+  const tripsRanks = three
+    ? (trips << 16) | (topRanks(one & ~(1 << trips), 2) << 8)
+    : 0;
+  if (three && tripsBeatStraight) {
+    return shortDeckScore(order, THREE_OF_A_KIND, tripsRanks);
+  }
+  const straight = shortStraightHigh(one);
+  if (straight >= 0) return shortDeckScore(order, STRAIGHT, straight << 16);
+  if (three) return shortDeckScore(order, THREE_OF_A_KIND, tripsRanks);
+
+  if (POPCOUNT[two] >= 2) {
+    const high = TOP_RANK[two];
+    const low = TOP_RANK[two & ~(1 << high)];
+    return shortDeckScore(
+      order,
+      TWO_PAIR,
+      (high << 16) |
+        (low << 12) |
+        (TOP_RANK[one & ~((1 << high) | (1 << low))] << 8)
+    );
+  }
+
+  if (two) {
+    const pair = TOP_RANK[two];
+    return shortDeckScore(
+      order,
+      PAIR,
+      (pair << 16) | (topRanks(one & ~(1 << pair), 3) << 4)
+    );
+  }
+
+  return shortDeckScore(order, HIGH_CARD, topRanks(one, 5));
+};
+
+// Razz is ace-to-five low: aces are low, straights and flushes do not count,
+// and fewer pairs always make a lower hand. Five cards are first scored like
+// an `evaluateCodes` pair hand over low ranks (A = 0 ... K = 12), where lower
+// is better, and the result is flipped so that higher scores still win
+const RAZZ_WORST = (FOUR_OF_A_KIND << 20) | 0xfffff;
+
+const lowBit = (code) => 1 << (((code >> 2) + 1) % 13);
+
+// Index groups for every five of five to seven cards
+const FIVE_OF = [];
+for (let n = 5; n <= 7; n++) {
+  FIVE_OF[n] = [];
+  for (let a = 0; a < n; a++)
+    for (let b = a + 1; b < n; b++)
+      for (let c = b + 1; c < n; c++)
+        for (let d = c + 1; d < n; d++)
+          for (let e = d + 1; e < n; e++) FIVE_OF[n].push([a, b, c, d, e]);
+}
+
+const razzFive = (codes, picks) => {
+  let one = 0;
+  let two = 0;
+  let three = 0;
+  let four = 0;
+  for (let i = 0; i < 5; i++) {
+    const bit = lowBit(codes[picks[i]]);
+    four |= three & bit;
+    three |= two & bit;
+    two |= one & bit;
+    one |= bit;
+  }
+
+  if (four) {
+    const quad = TOP_RANK[four];
+    return (
+      (FOUR_OF_A_KIND << 20) |
+      (quad << 16) |
+      (TOP_RANK[one & ~(1 << quad)] << 12)
+    );
+  }
+  if (three) {
+    const trips = TOP_RANK[three];
+    const pairs = two & ~(1 << trips);
+    if (pairs) {
+      return (FULL_HOUSE << 20) | (trips << 16) | (TOP_RANK[pairs] << 12);
+    }
+    return (
+      (THREE_OF_A_KIND << 20) |
+      (trips << 16) |
+      (topRanks(one & ~(1 << trips), 2) << 8)
+    );
+  }
+  if (POPCOUNT[two] >= 2) {
+    const high = TOP_RANK[two];
+    const low = TOP_RANK[two & ~(1 << high)];
+    return (
+      (TWO_PAIR << 20) |
+      (high << 16) |
+      (low << 12) |
+      (TOP_RANK[one & ~((1 << high) | (1 << low))] << 8)
+    );
+  }
+  if (two) {
+    const pair = TOP_RANK[two];
+    return (PAIR << 20) | (pair << 16) | (topRanks(one & ~(1 << pair), 3) << 4);
+  }
+  return (HIGH_CARD << 20) | topRanks(one, 5);
+};
+
+/**
+ * Score the best ace-to-five low among five to seven card codes, as in Razz.
+ * Higher scores are better lows; they compare only with each other.
+ * @param {number[] | Int32Array} codes
+ * @param {number} [length] How many entries of `codes` to use.
+ * @returns {number}
+ */
+export const evaluateRazzCodes = (codes, length = codes.length) => {
+  const groups = FIVE_OF[length];
+  let best = RAZZ_WORST;
+  for (let g = 0; g < groups.length; g++) {
+    const value = razzFive(codes, groups[g]);
+    if (value < best) best = value;
+  }
+  return RAZZ_WORST - best;
+};
+
+/**
+ * Score a hand given as card strings. Slower than `evaluateCodes`; meant for
+ * one-off evaluations rather than enumeration.
+ * @param {string[]} cards
+ * @returns {number}
+ */
+export const evaluateCards = (cards) => evaluateCodes(cards.map(encodeCard));
+
+/**
+ * @param {number} score
+ * @returns {number} Index into `HAND_CATEGORIES`.
+ */
+export const scoreCategory = (score) => (score >> 20) & 15;
+
+// Ranks making up the five cards of a score, best first
+const scoreRanks = (score) => {
+  const category = scoreCategory(score);
+  const nibble = (i) => (score >> (16 - 4 * i)) & 15;
+
+  if (category === STRAIGHT || category === STRAIGHT_FLUSH) {
+    const high = nibble(0);
+    if (high === 3) return [3, 2, 1, 0, 12];
+    if (high === SHORT_WHEEL_HIGH) return [7, 6, 5, 4, 12];
+    return [high, high - 1, high - 2, high - 3, high - 4];
+  }
+  if (category === FOUR_OF_A_KIND)
+    return [nibble(0), nibble(0), nibble(0), nibble(0), nibble(1)];
+  if (category === FULL_HOUSE)
+    return [nibble(0), nibble(0), nibble(0), nibble(1), nibble(1)];
+  if (category === THREE_OF_A_KIND)
+    return [nibble(0), nibble(0), nibble(0), nibble(1), nibble(2)];
+  if (category === TWO_PAIR)
+    return [nibble(0), nibble(0), nibble(1), nibble(1), nibble(2)];
+  if (category === PAIR)
+    return [nibble(0), nibble(0), nibble(1), nibble(2), nibble(3)];
+  return [nibble(0), nibble(1), nibble(2), nibble(3), nibble(4)];
+};
+
+/**
+ * Pick the five cards behind `score` out of `cards`, best first.
+ * @param {string[]} cards The cards that were evaluated.
+ * @param {number} [score] Their score, when already known.
+ * @returns {string[]}
+ */
+export const bestFiveCards = (cards, score = evaluateCards(cards)) => {
+  const category = scoreCategory(score);
+  let pool = cards.map(encodeCard);
+
+  if (category === FLUSH || category === STRAIGHT_FLUSH) {
+    const counts = [0, 0, 0, 0];
+    pool.forEach((code) => counts[code & 3]++);
+    const suit = counts.findIndex((count) => count >= 5);
+    pool = pool.filter((code) => (code & 3) === suit);
+  }
+
+  // Highest rank is listed first so suits come out in a stable order
+  pool.sort((a, b) => b - a);
+  return scoreRanks(score)
+    .slice(0, cards.length)
+    .map((rank) => {
+      const index = pool.findIndex((code) => code >> 2 === rank);
+      return decodeCard(pool.splice(index, 1)[0]);
+    });
+};
+
+const rankName = (card) => (card[0] === 'T' ? '10' : card[0]);
+
+// Rank names in low order, A = 0 ... K = 12
+const LOW_RANK_NAMES = [
+  'A',
+  '2',
+  '3',
+  '4',
+  '5',
+  '6',
+  '7',
+  '8',
+  '9',
+  '10',
+  'J',
+  'Q',
+  'K',
+];
+
+/**
+ * Pick the five cards behind a Razz score out of `cards`, highest first.
+ * @param {string[]} cards The cards that were evaluated.
+ * @param {number} score From `evaluateRazzCodes`.
+ * @returns {string[]}
+ */
+export const bestRazzCards = (cards, score) => {
+  const pool = cards.map(encodeCard).sort((a, b) => b - a);
+  return scoreRanks(RAZZ_WORST - score).map((rank) => {
+    const index = pool.findIndex((code) => lowBit(code) === 1 << rank);
+    return decodeCard(pool.splice(index, 1)[0]);
+  });
+};
+
+/**
+ * Describe a Razz hand by its five cards, highest first, e.g.
+ * `'8-6-4-2-A Low'` or `'Pair, 9-9-5-3-2'`.
+ * @param {number} score From `evaluateRazzCodes`.
+ * @returns {string}
+ */
+export const describeRazzScore = (score) => {
+  const value = RAZZ_WORST - score;
+  const category = scoreCategory(value);
+  const ranks = scoreRanks(value)
+    .map((rank) => LOW_RANK_NAMES[rank])
+    .join('-');
+  return category === HIGH_CARD
+    ? `${ranks} Low`
+    : `${HAND_CATEGORIES[category]}, ${ranks}`;
+};
+
+/**
+ * @param {number} score From `evaluateRazzCodes`.
+ * @returns {number} Index into `HAND_CATEGORIES` of the pairs in the hand;
+ *   `0` (`'High Card'`) for five different ranks.
+ */
+export const razzCategory = (score) => scoreCategory(RAZZ_WORST - score);
+
+/**
+ * Explain why one Razz hand beats another, e.g.
+ * `"7-5-4-3-A Low beats 8-6-4-2-A Low"`.
+ * @param {number} winner Score of the better hand.
+ * @param {number} loser Score of the hand it beat.
+ * @returns {string | null} `null` when the hands tie.
+ */
+export const explainRazzScore = (winner, loser) =>
+  winner === loser
+    ? null
+    : `${describeRazzScore(winner)} beats ${describeRazzScore(loser)}`;
+
+/**
+ * Describe a hand the way pokersolver's `Hand#descr` does, e.g.
+ * `"Two Pair, A's & K's"` or `"Flush, Ah High"`.
+ * @param {number} score
+ * @param {string[]} five The cards from `bestFiveCards`.
+ * @returns {string}
+ */
+export const describeScore = (score, five) => {
+  const category = scoreCategory(score);
+  const name = HAND_CATEGORIES[category];
+  const [first] = five;
+
+  switch (category) {
+    case STRAIGHT_FLUSH:
+      return first[0] === 'A'
+        ? 'Royal Flush'
+        : `${name}, ${rankName(first)}${first[1]} High`;
+    case FLUSH:
+      return `${name}, ${rankName(first)}${first[1]} High`;
+    case STRAIGHT:
+      return `${name}, ${rankName(first)} High`;
+    case FULL_HOUSE:
+      return `${name}, ${rankName(first)}'s over ${rankName(five[3])}'s`;
+    case TWO_PAIR:
+      return `${name}, ${rankName(first)}'s & ${rankName(five[2])}'s`;
+    case FOUR_OF_A_KIND:
+    case THREE_OF_A_KIND:
+    case PAIR:
+      return `${name}, ${rankName(first)}'s`;
+    default:
+      return `${rankName(first)} High`;
+  }
+};
+
+const RANK_WORDS = [
+  'Two',
+  'Three',
+  'Four',
+  'Five',
+  'Six',
+  'Seven',
+  'Eight',
+  'Nine',
+  'Ten',
+  'Jack',
+  'Queen',
+  'King',
+  'Ace',
+];
+const plural = (rank) => (rank === 4 ? 'Sixes' : `${RANK_WORDS[rank]}s`);
+
+// How many of the five ranks make the hand itself; the rest are kickers
+const MADE_RANKS = [1, 2, 4, 3, 5, 1, 5, 4, 5];
+
+// Spoken name of a hand, e.g. "Pair of Kings" or "Queen-high Flush"
+const nameScore = (score) => {
+  const category = scoreCategory(score);
+  const [first, , third, fourth] = scoreRanks(score);
+  switch (category) {
+    case STRAIGHT_FLUSH:
+      return first === 12
+        ? 'Royal Flush'
+        : `${RANK_WORDS[first]}-high Straight Flush`;
+    case FOUR_OF_A_KIND:
+      return `Four ${plural(first)}`;
+    case FULL_HOUSE:
+      return `Full House, ${plural(first)} over ${plural(fourth)}`;
+    case FLUSH:
+      return `${RANK_WORDS[first]}-high Flush`;
+    case STRAIGHT:
+      return `${RANK_WORDS[first]}-high Straight`;
+    case THREE_OF_A_KIND:
+      return `Three ${plural(first)}`;
+    case TWO_PAIR:
+      return `Two Pair, ${plural(first)} and ${plural(third)}`;
+    case PAIR:
+      return `Pair of ${plural(first)}`;
+    default:
+      return `${RANK_WORDS[first]} High`;
+  }
+};
+
+/**
+ * Explain why one hand beats another, naming the kicker when both have the
+ * same made hand: `"Pair of Kings, Ace kicker beats Queen kicker"`, or
+ * otherwise `"Ace-high Flush beats Queen-high Straight"`.
+ * @param {number} winner Score of the better hand.
+ * @param {number} loser Score of the hand it beat.
+ * @returns {string | null} `null` when the hands tie.
+ */
+export const explainScore = (winner, loser) => {
+  if (winner === loser) return null;
+  const category = scoreCategory(winner);
+  if (category !== scoreCategory(loser)) {
+    return `${nameScore(winner)} beats ${nameScore(loser)}`;
+  }
+  const winnerRanks = scoreRanks(winner);
+  const loserRanks = scoreRanks(loser);
+  const index = winnerRanks.findIndex((rank, i) => rank !== loserRanks[i]);
+  if (index < MADE_RANKS[category]) {
+    return `${nameScore(winner)} beats ${nameScore(loser)}`;
+  }
+  return (
+    `${nameScore(winner)}, ${RANK_WORDS[winnerRanks[index]]} kicker beats ` +
+    `${RANK_WORDS[loserRanks[index]]} kicker`
+  );
+};
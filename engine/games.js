@@ -0,0 +1,254 @@
+import { ranks, SHORT_DECK_RANKS } from './cards.js';
+import {
+  bestFiveCards,
+  describeScore,
+  encodeCard,
+  evaluateCodes,
+  bestRazzCards,
+  describeRazzScore,
+  evaluateRazzCodes,
+  evaluateShortDeckCodes,
+  HAND_CATEGORIES,
+  razzCategory,
+  scoreCategory,
+} from './evaluator.js';
+
+// Seven-card stud deals two cards down, four up and the last one down
+const STUD_UP_CARDS = [false, false, true, true, true, true, false];
+
+/**
+ * Supported game modes. `holeCards` is how many cards each player is dealt;
+ * `mustUseHole` is set for games where a hand is exactly two hole cards plus
+ * three board cards. `historyLabel` is the game name used in PokerStars hand
+ * histories. `ranks` are the ranks in the deck and `boardCards` the number of
+ * shared cards. Short Deck games also set `shortDeck`, and
+ * `tripsBeatStraight` when three of a kind outranks a straight. Stud games
+ * have no board; `upCards` says which of each player's cards are dealt face
+ * up, and `lowball` is set for Razz, where the best ace-to-five low wins.
+ */
+export const GAME_MODES = [
+  {
+    value: 'holdem',
+    label: "Hold'em",
+    holeCards: 2,
+    mustUseHole: false,
+    historyLabel: "Hold'em No Limit",
+    ranks,
+    boardCards: 5,
+  },
+  {
+    value: 'plo4',
+    label: 'PLO 4',
+    holeCards: 4,
+    mustUseHole: true,
+    historyLabel: 'Omaha Pot Limit',
+    ranks,
+    boardCards: 5,
+  },
+  {
+    value: 'plo5',
+    label: 'PLO 5',
+    holeCards: 5,
+    mustUseHole: true,
+    historyLabel: '5 Card Omaha Pot Limit',
+    ranks,
+    boardCards: 5,
+  },
+  {
+    value: 'shortdeck',
+    label: 'Short Deck',
+    holeCards: 2,
+    mustUseHole: false,
+    historyLabel: "6+ Hold'em No Limit",
+    ranks: SHORT_DECK_RANKS,
+    boardCards: 5,
+    shortDeck: true,
+    tripsBeatStraight: false,
+  },
+  {
+    value: 'shortdeck-trips',
+    label: 'Short Deck (Trips > Straight)',
+    holeCards: 2,
+    mustUseHole: false,
+    historyLabel: "6+ Hold'em No Limit",
+    ranks: SHORT_DECK_RANKS,
+    boardCards: 5,
+    shortDeck: true,
+    tripsBeatStraight: true,
+  },
+  {
+    value: 'stud',
+    label: 'Seven Card Stud',
+    holeCards: 7,
+    mustUseHole: false,
+    historyLabel: '7 Card Stud Limit',
+    ranks,
+    boardCards: 0,
+    upCards: STUD_UP_CARDS,
+  },
+  {
+    value: 'razz',
+    label: 'Razz',
+    holeCards: 7,
+    mustUseHole: false,
+    historyLabel: 'Razz Limit',
+    ranks,
+    boardCards: 0,
+    upCards: STUD_UP_CARDS,
+    lowball: true,
+  },
+];
+
+/**
+ * @param {string} [mode] One of the `GAME_MODES` values.
+ * @returns {Object} The game mode, falling back to Hold'em.
+ */
+export const getGameMode = (mode) =>
+  GAME_MODES.find((g) => g.value === mode) || GAME_MODES[0];
+
+// Index pairs/triples for "exactly two from the hand, three from the board"
+const pairsOf = (n) => {
+  const pairs = [];
+  for (let a = 0; a < n; a++)
+    for (let b = a + 1; b < n; b++) pairs.push([a, b]);
+  return pairs;
+};
+const triplesOf = (n) => {
+  const triples = [];
+  for (let a = 0; a < n; a++)
+    for (let b = a + 1; b < n; b++)
+      for (let c = b + 1; c < n; c++) triples.push([a, b, c]);
+  return triples;
+};
+const BOARD_TRIPLES = triplesOf(5);
+
+/**
+ * Number of five-card evaluations one hand costs in a game mode; used to
+ * size equity enumeration.
+ * @param {string} mode
+ * @returns {number}
+ */
+export const evaluationsPerHand = (mode) => {
+  const game = getGameMode(mode);
+  // Razz tries every five of the seven cards
+  if (game.lowball) return 21;
+  return game.mustUseHole ? pairsOf(game.holeCards).length * 10 : 1;
+};
+
+/**
+ * Build a scoring function for a game mode that works on card codes and
+ * reuses its buffers, for use in tight loops.
+ * @param {string} mode
+ * @param {number} [boardSize] Board cards the scorer is given: five at
+ *   showdown, or three or four to score hands on the flop or turn.
+ * @returns {(hole: number[], board: number[]) => number} Scores the best
+ *   hand from hole cards and the board.
+ */
+export const createScorer = (mode, boardSize = 5) => {
+  const game = getGameMode(mode);
+  // Stud hands are scored from the player's own cards alone
+  if (!game.boardCards) {
+    const evaluate = game.lowball ? evaluateRazzCodes : evaluateCodes;
+    return (hole) => evaluate(hole, hole.length);
+  }
+
+  const cards = new Int32Array(game.mustUseHole ? 5 : 2 + boardSize);
+
+  if (game.shortDeck) {
+    const { tripsBeatStraight } = game;
+    return (hole, board) => {
+      cards[0] = hole[0];
+      cards[1] = hole[1];
+      for (let i = 0; i < boardSize; i++) cards[2 + i] = board[i];
+      return evaluateShortDeckCodes(cards, 2 + boardSize, tripsBeatStraight);
+    };
+  }
+
+  if (!game.mustUseHole) {
+    return (hole, board) => {
+      cards[0] = hole[0];
+      cards[1] = hole[1];
+      for (let i = 0; i < boardSize; i++) cards[2 + i] = board[i];
+      return evaluateCodes(cards, 2 + boardSize);
+    };
+  }
+
+  const pairs = pairsOf(game.holeCards);
+  const triples = boardSize === 5 ? BOARD_TRIPLES : triplesOf(boardSize);
+  return (hole, board) => {
+    let best = -1;
+    for (let p = 0; p < pairs.length; p++) {
+      cards[0] = hole[pairs[p][0]];
+      cards[1] = hole[pairs[p][1]];
+      for (let t = 0; t < triples.length; t++) {
+        const triple = triples[t];
+        cards[2] = board[triple[0]];
+        cards[3] = board[triple[1]];
+        cards[4] = board[triple[2]];
+        const score = evaluateCodes(cards, 5);
+        if (score > best) best = score;
+      }
+    }
+    return best;
+  };
+};
+
+/**
+ * Best hand for one player under the rules of a game mode.
+ * @param {string[]} hole The player's hole cards, or all seven cards in Stud.
+ * @param {string[]} board Five board cards; empty in Stud.
+ * @param {string} [mode]
+ * @returns {{name: string, description: string, cards: string[], score: number,
+ *   holeCardsUsed: string[], boardCardsUsed: string[]}} `cards` are the
+ *   five cards used, best first, split into the hole and board cards they
+ *   came from.
+ */
+export const solveGameHand = (hole, board, mode) => {
+  const game = getGameMode(mode);
+  if (game.lowball) {
+    const score = evaluateRazzCodes(hole.map(encodeCard));
+    const five = bestRazzCards(hole, score);
+    return {
+      name: HAND_CATEGORIES[razzCategory(score)],
+      description: describeRazzScore(score),
+      cards: five,
+      score,
+      holeCardsUsed: five,
+      boardCardsUsed: [],
+    };
+  }
+
+  let candidates = [[...hole, ...board]];
+
+  if (game.mustUseHole) {
+    candidates = pairsOf(hole.length).flatMap(([a, b]) =>
+      BOARD_TRIPLES.map(([x, y, z]) => [
+        hole[a],
+        hole[b],
+        board[x],
+        board[y],
+        board[z],
+      ])
+    );
+  }
+
+  const evaluate = game.shortDeck
+    ? (codes) =>
+        evaluateShortDeckCodes(codes, codes.length, game.tripsBeatStraight)
+    : evaluateCodes;
+  let best = null;
+  candidates.forEach((cards) => {
+    const score = evaluate(cards.map(encodeCard));
+    if (!best || score > best.score) best = { score, cards };
+  });
+
+  const five = bestFiveCards(best.cards, best.score);
+  return {
+    name: HAND_CATEGORIES[scoreCategory(best.score)],
+    description: describeScore(best.score, five),
+    cards: five,
+    score: best.score,
+    holeCardsUsed: five.filter((c) => hole.includes(c)),
+    boardCardsUsed: five.filter((c) => board.includes(c)),
+  };
+};
@@ -0,0 +1,378 @@
+import { isValidCard } from './cards.js';
+import { EngineError } from './errors.js';
+
+/**
+ * Thrown by `parsePokerStarsHand`. `errors` lists every problem found, each
+ * with the 1-based line it was found on.
+ */
+export class HandHistoryError extends EngineError {
+  constructor(errors) {
+    super(
+      'INVALID_HAND_HISTORY',
+      errors.map((e) => `Line ${e.line}: ${e.message}`).join('\n')
+    );
+    this.name = 'HandHistoryError';
+    this.errors = errors;
+  }
+}
+
+const HEADER = /^PokerStars (?:Hand|Game) #(\d+):\s*(.*?)(?:\s+-\s+(.*))?$/;
+const SEAT = /^Seat (\d+): (.+?) \(([^)]*?)\s+in chips\)/;
+const STREET =
+  /^\*\*\* (HOLE CARDS|FLOP|TURN|RIVER|SHOW ?DOWN|SUMMARY) \*\*\*(.*)$/;
+const ACTION =
+  /^(.+?): (posts (?:small blind|big blind|small & big blinds|the ante)|calls|bets|raises|checks|folds|shows|mucks)\b(.*)$/;
+const DEALT = /^Dealt to (.+?) \[([^\]]*)\]/;
+const UNCALLED = /^Uncalled bet \(([^)]+)\) returned to (.+)$/;
+const SUMMARY_SEAT =
+  /^Seat \d+: (.+?)(?: \([^)]*\))* (?:showed|mucked) \[([^\]]*)\]/;
+const BOARD = /^Board \[([^\]]*)\]/;
+
+const parseAmount = (text) => {
+  const match = /[\d,]*\.?\d+/.exec(text || '');
+  return match ? Number(match[0].replace(/,/g, '')) : NaN;
+};
+
+/**
+ * Parse one hand in PokerStars hand-history format, as copied from the
+ * client or a hand-history file. Only the first hand in `text` is read.
+ * @param {string} text
+ * @returns {{handId: string, game: string, players: Object[], community: string[]}}
+ *   `players` are in seat order with `name`, `seat`, `cards` (empty strings
+ *   where the cards were never shown), `contribution`, the chips they put in
+ *   the pot, `folded` and `unknown` (stayed in without showing every card).
+ *   Amounts with decimals are converted to cents so that contributions are
+ *   always whole numbers. `community` always has five slots.
+ * @throws {HandHistoryError} When the text is not a valid hand history.
+ */
+export const parsePokerStarsHand = (text) => {
+  const lines = text.split(/\r?\n/);
+  const errors = [];
+  const error = (line, message) => errors.push({ line, message });
+
+  const players = [];
+  const board = [];
+  // Where each board card was read, for errors about it
+  const boardLines = [];
+  const committed = {};
+  const streetCommitted = {};
+  let handId = '';
+  let game = '';
+  let street = null;
+
+  const findPlayer = (name, line) => {
+    const player = players.find((p) => p.name === name);
+    if (!player) error(line, `Unknown player "${name}".`);
+    return player;
+  };
+
+  const readCards = (list, line) => {
+    const cards = list.trim().split(/\s+/).filter(Boolean);
+    cards.forEach((card) => {
+      if (!isValidCard(card)) error(line, `"${card}" is not a valid card.`);
+    });
+    return cards;
+  };
+
+  const showCards = (player, list, line) => {
+    const cards = readCards(list, line);
+    // Showing the cards already dealt keeps the line they were first seen on
+    if (player && player.cards.join(' ') !== cards.join(' ')) {
+      player.cards = cards;
+      player.cardsLine = line;
+    }
+  };
+
+  const dealBoard = (list, line) => {
+    const cards = readCards(list, line);
+    board.push(...cards);
+    boardLines.push(...cards.map(() => line));
+  };
+
+  const commit = (player, amount, line, countsForStreet = true) => {
+    if (!player) return;
+    if (!Number.isFinite(amount)) {
+      error(line, 'Missing or invalid amount.');
+      return;
+    }
+    committed[player.name] += amount;
+    if (countsForStreet) streetCommitted[player.name] += amount;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = i + 1;
+    const content = lines[i].trim();
+    if (!content) continue;
+
+    const header = HEADER.exec(content);
+    if (header) {
+      // Only the first hand is imported
+      if (handId) break;
+      handId = header[1];
+      game = header[2];
+      continue;
+    }
+    if (!handId) {
+      error(line, 'Expected a "PokerStars Hand #" header.');
+      break;
+    }
+
+    const streetMatch = STREET.exec(content);
+    if (streetMatch) {
+      street = streetMatch[1].replace(' ', '');
+      Object.keys(streetCommitted).forEach((name) => {
+        streetCommitted[name] = 0;
+      });
+      if (['FLOP', 'TURN', 'RIVER'].includes(street)) {
+        // The newest cards are in the last pair of brackets
+        const groups = [...streetMatch[2].matchAll(/\[([^\]]*)\]/g)];
+        if (groups.length === 0) {
+          error(line, `Missing ${street.toLowerCase()} cards.`);
+        } else {
+          dealBoard(groups[groups.length - 1][1], line);
+        }
+      }
+      continue;
+    }
+
+    if (!street) {
+      const seat = SEAT.exec(content);
+      if (seat) {
+        const name = seat[2];
+        if (players.some((p) => p.name === name)) {
+          error(line, `Player "${name}" is seated twice.`);
+        } else {
+          players.push({ name, seat: Number(seat[1]), cards: [] });
+          committed[name] = 0;
+          streetCommitted[name] = 0;
+        }
+      } else if (/^Seat \d+:/.test(content)) {
+        error(line, 'Expected "Seat N: Name (stack in chips)".');
+      } else {
+        const action = ACTION.exec(content);
+        if (action && action[2].startsWith('posts')) {
+          const player = findPlayer(action[1], line);
+          commit(
+            player,
+            parseAmount(action[3]),
+            line,
+            action[2] !== 'posts the ante'
+          );
+        }
+      }
+      continue;
+    }
+
+    if (street === 'SUMMARY') {
+      const shown = SUMMARY_SEAT.exec(content);
+      const boardMatch = BOARD.exec(content);
+      if (shown) {
+        const player = findPlayer(shown[1], line);
+        if (player && player.cards.length === 0) {
+          showCards(player, shown[2], line);
+        }
+      } else if (boardMatch && board.length === 0) {
+        dealBoard(boardMatch[1], line);
+      }
+      continue;
+    }
+
+    const dealt = DEALT.exec(content);
+    if (dealt) {
+      showCards(findPlayer(dealt[1], line), dealt[2], line);
+      continue;
+    }
+
+    const uncalled = UNCALLED.exec(content);
+    if (uncalled) {
+      commit(findPlayer(uncalled[2], line), -parseAmount(uncalled[1]), line);
+      continue;
+    }
+
+    const action = ACTION.exec(content);
+    if (!action) continue;
+    const player = findPlayer(action[1], line);
+    const verb = action[2];
+    const rest = action[3];
+
+    if (verb === 'folds') {
+      // The hero's own fold lists their cards
+      const cards = /\[([^\]]*)\]/.exec(rest);
+      if (cards) showCards(player, cards[1], line);
+      if (player) player.folded = true;
+    } else if (verb === 'shows' || verb === 'mucks') {
+      const cards = /\[([^\]]*)\]/.exec(rest);
+      if (cards) showCards(player, cards[1], line);
+    } else if (verb === 'raises') {
+      // "raises 4 to 6": the total for the street is what counts
+      const to = /\bto\s+(\S+)/.exec(rest);
+      if (!to) {
+        error(line, 'Expected "raises X to Y".');
+      } else if (player) {
+        commit(player, parseAmount(to[1]) - streetCommitted[player.name], line);
+      }
+    } else if (
+      verb === 'calls' ||
+      verb === 'bets' ||
+      verb.startsWith('posts')
+    ) {
+      commit(player, parseAmount(rest), line, verb !== 'posts the ante');
+    }
+  }
+
+  if (!handId && errors.length === 0) {
+    error(1, 'Expected a "PokerStars Hand #" header.');
+  }
+  if (handId && players.length < 2) {
+    error(lines.length, 'A hand needs at least 2 seated players.');
+  }
+  if (board.length > 5) {
+    error(
+      boardLines[5],
+      `The board has ${board.length} cards; at most 5 are allowed.`
+    );
+  }
+
+  // Reported on the line where the card turns up again
+  const seen = new Set();
+  [
+    ...players.flatMap((p) => p.cards.map((card) => [card, p.cardsLine])),
+    ...board.map((card, i) => [card, boardLines[i]]),
+  ]
+    .sort((a, b) => a[1] - b[1])
+    .forEach(([card, line]) => {
+      if (seen.has(card)) error(line, `${card} appears more than once.`);
+      seen.add(card);
+    });
+
+  if (errors.length > 0) {
+    throw new HandHistoryError(errors.sort((a, b) => a.line - b.line));
+  }
+
+  const holeCount = Math.max(2, ...players.map((p) => p.cards.length));
+  const scale = Object.values(committed).every(Number.isInteger) ? 1 : 100;
+  return {
+    handId,
+    game,
+    players: players.map((p) => ({
+      name: p.name,
+      seat: p.seat,
+      cards: Array.from({ length: holeCount }, (_, i) => p.cards[i] || ''),
+      contribution: committed[p.name]
+        ? String(Math.round(committed[p.name] * scale))
+        : '',
+      folded: !!p.folded,
+      unknown: !p.folded && p.cards.length < holeCount,
+    })),
+    community: Array.from({ length: 5 }, (_, i) => board[i] || ''),
+  };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) =>
+  `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ` +
+  `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+/**
+ * Write a table and its showdown results in PokerStars hand-history format.
+ * Individual betting actions are not tracked, so each player's contribution
+ * is written as a single pre-flop bet, call or raise; `parsePokerStarsHand`
+ * reads the output back to the same table.
+ * @param {Object} hand
+ * @param {{name: string, cards: string[], contribution?: string | number,
+ *   stack?: string | number, folded?: boolean}[]} hand.players Seats are
+ *   written with their `stack`, or with their contribution when no stack is
+ *   set. Cards left empty are not shown.
+ * @param {string[]} hand.community
+ * @param {Object[]} [hand.results] From `evaluateShowdown`, in seat order.
+ * @param {string} [hand.game] Game label for the header.
+ * @param {number | string} [hand.handId]
+ * @param {Date} [hand.date]
+ * @returns {string}
+ */
+export const formatPokerStarsHand = ({
+  players,
+  community,
+  results = [],
+  game = "Hold'em No Limit",
+  handId = Date.now(),
+  date = new Date(),
+}) => {
+  const board = community.filter(Boolean);
+  const chips = (p) => Number(p.contribution) || 0;
+  const stack = (p) => Number(p.stack) || chips(p);
+  // The cards a seat shows; a hand seen only in part shows the known ones
+  const known = (p) => p.cards.filter(Boolean).join(' ');
+  const lines = [
+    `PokerStars Hand #${handId}: ${game} - ${formatDate(date)}`,
+    `Table 'Evaluator' ${players.length}-max Seat #1 is the button`,
+    ...players.map((p, i) => `Seat ${i + 1}: ${p.name} (${stack(p)} in chips)`),
+    '*** HOLE CARDS ***',
+  ];
+
+  let current = 0;
+  players.forEach((p) => {
+    const amount = chips(p);
+    if (!amount) return;
+    if (current === 0) {
+      lines.push(`${p.name}: bets ${amount}`);
+    } else if (amount > current) {
+      lines.push(`${p.name}: raises ${amount - current} to ${amount}`);
+    } else {
+      const allIn = amount < current ? ' and is all-in' : '';
+      lines.push(`${p.name}: calls ${amount}${allIn}`);
+    }
+    current = Math.max(current, amount);
+  });
+  players.forEach((p) => {
+    if (!p.folded) return;
+    const cards = known(p) ? ` [${known(p)}]` : '';
+    lines.push(`${p.name}: folds${cards}`);
+  });
+
+  if (board.length >= 3) {
+    lines.push(`*** FLOP *** [${board.slice(0, 3).join(' ')}]`);
+  }
+  if (board.length >= 4) {
+    lines.push(`*** TURN *** [${board.slice(0, 3).join(' ')}] [${board[3]}]`);
+  }
+  if (board.length === 5) {
+    lines.push(`*** RIVER *** [${board.slice(0, 4).join(' ')}] [${board[4]}]`);
+  }
+
+  lines.push('*** SHOW DOWN ***');
+  players.forEach((p, i) => {
+    if (p.folded || !known(p)) return;
+    const description = results[i] ? ` (${results[i].description})` : '';
+    lines.push(`${p.name}: shows [${known(p)}]${description}`);
+  });
+  results.forEach((r) => {
+    if (r.payout) lines.push(`${r.name} collected ${r.payout} from pot`);
+  });
+
+  const total = players.reduce((sum, p) => sum + chips(p), 0);
+  lines.push('*** SUMMARY ***', `Total pot ${total} | Rake 0`);
+  if (board.length > 0) lines.push(`Board [${board.join(' ')}]`);
+  players.forEach((p, i) => {
+    const r = results[i];
+    if (p.folded) {
+      lines.push(`Seat ${i + 1}: ${p.name} folded before Flop`);
+    } else if (!known(p)) {
+      lines.push(`Seat ${i + 1}: ${p.name} mucked`);
+    } else if (!r) {
+      lines.push(`Seat ${i + 1}: ${p.name} showed [${known(p)}]`);
+    } else if (r.isWinner) {
+      const won = r.payout ? ` (${r.payout})` : '';
+      lines.push(
+        `Seat ${i + 1}: ${p.name} showed [${known(p)}] and won${won} with ${r.description}`
+      );
+    } else {
+      lines.push(
+        `Seat ${i + 1}: ${p.name} showed [${known(p)}] and lost with ${r.description}`
+      );
+    }
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,98 @@
+// Hand-evaluation engine. Pure JavaScript with no React Native imports, so it
+// can be used from the app, Node scripts and tests alike.
+export {
+  applyBettingAction,
+  BETTING_STREETS,
+  createBettingHand,
+  getLegalActions,
+  replayBetting,
+} from './betting.js';
+export {
+  buildDeck,
+  countCombinations,
+  createRng,
+  dealHand,
+  forEachCombination,
+  isValidCard,
+  parseCard,
+  randomSeed,
+  ranks,
+  SHORT_DECK_RANKS,
+  suits,
+  validateCards,
+} from './cards.js';
+export {
+  calculateEquity,
+  calculateRangeEquity,
+  EQUITY_SEED,
+  EVALUATION_BUDGET,
+  MONTE_CARLO_SAMPLES,
+} from './equity.js';
+export { EngineError } from './errors.js';
+export {
+  bestFiveCards,
+  bestRazzCards,
+  decodeCard,
+  describeRazzScore,
+  describeScore,
+  encodeCard,
+  evaluateCards,
+  evaluateCodes,
+  evaluateRazzCodes,
+  evaluateShortDeckCodes,
+  explainRazzScore,
+  explainScore,
+  HAND_CATEGORIES,
+  razzCategory,
+  scoreCategory,
+} from './evaluator.js';
+export {
+  createScorer,
+  evaluationsPerHand,
+  GAME_MODES,
+  getGameMode,
+  solveGameHand,
+} from './games.js';
+export {
+  formatPokerStarsHand,
+  HandHistoryError,
+  parsePokerStarsHand,
+} from './handHistory.js';
+export { formatTableLink, LINK_VERSION, parseTableLink } from './links.js';
+export {
+  createLowScorer,
+  describeLow,
+  evaluateLowCodes,
+  NO_LOW,
+  solveGameLow,
+} from './lowball.js';
+export {
+  formatTableNotation,
+  normalizeCard,
+  NotationError,
+  parseTableNotation,
+} from './notation.js';
+export { analyzeOuts } from './outs.js';
+export {
+  awardHiLoPots,
+  awardPots,
+  buildPots,
+  ODD_CHIP_RULES,
+  parseChips,
+} from './pots.js';
+export { expandRange, formatRange, parseRange, RANGE_GRID } from './ranges.js';
+export {
+  categoryDistribution,
+  computePlayerStats,
+  formatPlayerCsv,
+  sortPlayerStats,
+  STAT_SORTS,
+} from './stats.js';
+export {
+  determineWinners,
+  evaluateHiddenShowdown,
+  evaluateShowdown,
+  evaluateTable,
+  hasHiddenCards,
+  solveHand,
+} from './showdown.js';
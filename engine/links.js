@@ -0,0 +1,227 @@
+import { isValidCard, validateCards } from './cards.js';
+import { EngineError } from './errors.js';
+import { GAME_MODES, getGameMode } from './games.js';
+import { parseRange } from './ranges.js';
+
+/**
+ * Version written into every table link. Links from a newer version are
+ * refused rather than guessed at.
+ */
+export const LINK_VERSION = 2;
+
+// Links longer than this are not from the app
+const MAX_LINK_LENGTH = 4000;
+const MAX_NAME_LENGTH = 40;
+const EMPTY_SLOT = '--';
+// Letters for the per-player flags, in the order they are written
+const FLAGS = { folded: 'f', unknown: 'u' };
+
+const invalid = (message) => new EngineError('INVALID_LINK', message);
+
+// 32-bit FNV-1a of the link body, so edited links can be told apart from
+// ones the app wrote
+const checksum = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Card slots as two characters each, `--` for an empty slot
+const writeSlots = (cards) => cards.map((card) => card || EMPTY_SLOT).join('');
+
+const readSlots = (text, what) => {
+  if (text.length % 2 !== 0) throw invalid(`The ${what} cards are cut short.`);
+  const cards = text.match(/../g) || [];
+  return cards.map((card) => {
+    if (card === EMPTY_SLOT) return '';
+    if (!isValidCard(card)) {
+      throw invalid(`"${card}" in the ${what} is not a valid card.`);
+    }
+    return card;
+  });
+};
+
+// A player as `name,cards,chips,stack,flags,range`, leaving off empty fields
+// at the end so plain tables keep short links
+const writePlayer = (p) => {
+  const fields = [
+    encodeURIComponent(p.name),
+    writeSlots(p.cards),
+    p.contribution || '',
+    p.stack || '',
+    Object.keys(FLAGS)
+      .filter((flag) => p[flag])
+      .map((flag) => FLAGS[flag])
+      .join(''),
+    p.range ? encodeURIComponent(p.range) : '',
+  ];
+  while (!fields[fields.length - 1]) fields.pop();
+  return fields.join(',');
+};
+
+/**
+ * Write a table as a link that `parseTableLink` can restore exactly.
+ * Results are not stored: the link only says whether to show them, and they
+ * are worked out again from the cards when it is opened.
+ * @param {Object} table
+ * @param {{name: string, cards: string[], contribution?: string | number, stack?: string | number, folded?: boolean, unknown?: boolean, range?: string}[]} table.players
+ * @param {string[]} table.community Five slots; empty slots are kept.
+ * @param {string} [table.gameMode]
+ * @param {boolean} [table.hiLo]
+ * @param {number} [table.dealer]
+ * @param {boolean} [table.showResults]
+ * @param {string} base Start of the link, e.g. `'holdem://table'` or the web
+ *   app's address.
+ * @returns {string}
+ */
+export const formatTableLink = (
+  {
+    players,
+    community,
+    gameMode = 'holdem',
+    hiLo = false,
+    dealer = 0,
+    showResults = false,
+  },
+  base
+) => {
+  const params = [
+    `v=${LINK_VERSION}`,
+    `g=${gameMode}`,
+    ...(hiLo ? ['hl=1'] : []),
+    `d=${dealer}`,
+    ...players.map((p) => `p=${writePlayer(p)}`),
+    `b=${writeSlots(community)}`,
+    ...(showResults ? ['r=1'] : []),
+  ].join('&');
+  return `${base}?${params}&h=${checksum(params)}`;
+};
+
+/**
+ * Restore a table from a link made by `formatTableLink`. Only the part
+ * after `?` is read, so app-scheme and web links both work.
+ * @param {string} url
+ * @returns {{players: {name: string, cards: string[], contribution: string,
+ *   stack: string, folded?: boolean, unknown?: boolean, range?: string}[],
+ *   community: string[], gameMode: string, hiLo: boolean, dealer: number,
+ *   showResults: boolean}}
+ * @throws {EngineError} `INVALID_LINK` when the link is malformed, was
+ *   edited by hand or comes from a newer version of the app;
+ *   `INVALID_CARD` or `DUPLICATE_CARD` for bad cards; `INVALID_RANGE` for a
+ *   bad range.
+ */
+export const parseTableLink = (url) => {
+  if (url.length > MAX_LINK_LENGTH) throw invalid('This link is too long.');
+  const query = url.split('#')[0].split('?')[1];
+  if (!query) throw invalid('This link does not contain a table.');
+
+  const match = /^(.*)&h=([0-9a-z]+)$/.exec(query);
+  if (!match) throw invalid('This link is incomplete.');
+  const [, body, hash] = match;
+
+  const params = body.split('&').map((part) => {
+    const at = part.indexOf('=');
+    if (at < 1) throw invalid(`"${part}" is not part of a table link.`);
+    return [part.slice(0, at), part.slice(at + 1)];
+  });
+  const single = (key) => params.find(([k]) => k === key)?.[1];
+
+  const version = Number(single('v'));
+  if (!Number.isInteger(version) || version < 1) {
+    throw invalid('This link has no version.');
+  }
+  if (version > LINK_VERSION) {
+    throw invalid('This link was made by a newer version of the app.');
+  }
+  if (checksum(body) !== hash) {
+    throw invalid('This link has been changed or is incomplete.');
+  }
+
+  const gameMode = single('g');
+  if (!GAME_MODES.some((m) => m.value === gameMode)) {
+    throw invalid(`"${gameMode}" is not a supported game.`);
+  }
+  const game = getGameMode(gameMode);
+
+  const players = params
+    .filter(([k]) => k === 'p')
+    .map(([, value]) => {
+      const [
+        rawName,
+        slots = '',
+        chips = '',
+        stack = '',
+        flags = '',
+        rawRange = '',
+        extra,
+      ] = value.split(',');
+      let name;
+      let range;
+      try {
+        name = decodeURIComponent(rawName).trim();
+        range = decodeURIComponent(rawRange);
+      } catch (e) {
+        throw invalid('A player in this link is garbled.');
+      }
+      if (!name || name.length > MAX_NAME_LENGTH || extra !== undefined) {
+        throw invalid('A player in this link is malformed.');
+      }
+      const cards = readSlots(slots, `${name}'s`);
+      if (cards.length !== game.holeCards) {
+        throw invalid(
+          `${name} has ${cards.length} cards; ${game.label} needs ${game.holeCards}.`
+        );
+      }
+      if (!/^\d*$/.test(chips) || !/^\d*$/.test(stack)) {
+        throw invalid(`${name}'s chips in this link are not a number.`);
+      }
+      const letters = Object.values(FLAGS);
+      if ([...flags].some((f) => !letters.includes(f))) {
+        throw invalid(`${name}'s flags in this link are not known.`);
+      }
+      if (range) {
+        if (game.holeCards !== 2 || game.shortDeck) {
+          throw invalid(`${game.label} hands cannot be given as a range.`);
+        }
+        parseRange(range);
+      }
+      const player = { name, cards, contribution: chips, stack };
+      Object.entries(FLAGS).forEach(([flag, letter]) => {
+        if (flags.includes(letter)) player[flag] = true;
+      });
+      if (range) player.range = range;
+      return player;
+    });
+  if (players.length < 2) {
+    throw invalid('A table link needs at least 2 players.');
+  }
+
+  const community = readSlots(single('b') || '', 'board');
+  if (community.length !== 5) {
+    throw invalid('The board in this link must have 5 slots.');
+  }
+  if (community.filter(Boolean).length > game.boardCards) {
+    throw invalid(`${game.label} has no board.`);
+  }
+
+  validateCards(
+    [...players.flatMap((p) => p.cards), ...community].filter(Boolean),
+    game.ranks
+  );
+
+  const dealer = Number(single('d') || 0);
+  if (!Number.isInteger(dealer) || dealer < 0 || dealer >= players.length) {
+    throw invalid('The dealer in this link is not at the table.');
+  }
+
+  return {
+    players,
+    community,
+    gameMode,
+    hiLo: single('hl') === '1',
+    dealer,
+    showResults: single('r') === '1',
+  };
+};
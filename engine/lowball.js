@@ -0,0 +1,152 @@
+import { encodeCard } from './evaluator.js';
+import { getGameMode } from './games.js';
+
+// Ace-to-five low with an eight-or-better qualifier. Each eligible rank is a
+// bit in an 8-bit mask (A = bit 0 up to 8 = bit 7). Straights and flushes do
+// not count against a low, so a qualifying low is just five distinct ranks
+// and, because the highest card is compared first, a smaller five-bit mask is
+// always a better low.
+
+/** Score returned when no qualifying low can be made. */
+export const NO_LOW = -1;
+
+const LOW_LABELS = ['A', '2', '3', '4', '5', '6', '7', '8'];
+
+// Low bit for each card rank (2 = 0 ... A = 12); 0 for ranks above eight
+const LOW_BIT = [2, 4, 8, 16, 32, 64, 128, 0, 0, 0, 0, 0, 1];
+
+// Best qualifying low score for each 8-bit mask of low ranks held
+const BEST_LOW = new Int16Array(256);
+for (let mask = 0; mask < 256; mask++) {
+  let five = 0;
+  let count = 0;
+  for (let bit = 0; bit < 8 && count < 5; bit++) {
+    if (mask & (1 << bit)) {
+      five |= 1 << bit;
+      count++;
+    }
+  }
+  BEST_LOW[mask] = count === 5 ? 256 - five : NO_LOW;
+}
+
+/**
+ * Score the best eight-or-better low among `length` card codes, using any
+ * five of them. Higher scores are better lows.
+ * @param {number[] | Int32Array} codes
+ * @param {number} [length]
+ * @returns {number} `NO_LOW` when the cards do not make a qualifying low.
+ */
+export const evaluateLowCodes = (codes, length = codes.length) => {
+  let mask = 0;
+  for (let i = 0; i < length; i++) mask |= LOW_BIT[codes[i] >> 2];
+  return BEST_LOW[mask];
+};
+
+/**
+ * @param {number} score A low score other than `NO_LOW`.
+ * @returns {string} e.g. `'8-6-4-2-A Low'`.
+ */
+export const describeLow = (score) => {
+  const five = 256 - score;
+  const labels = [];
+  for (let bit = 7; bit >= 0; bit--) {
+    if (five & (1 << bit)) labels.push(LOW_LABELS[bit]);
+  }
+  return `${labels.join('-')} Low`;
+};
+
+const pairsOf = (items) =>
+  items.flatMap((a, i) => items.slice(i + 1).map((b) => [a, b]));
+const triplesOf = (items) =>
+  items.flatMap((a, i) =>
+    pairsOf(items.slice(i + 1)).map((pair) => [a, ...pair])
+  );
+
+/**
+ * Build a low scoring function for a game mode that works on card codes.
+ * @param {string} mode
+ * @returns {(hole: number[], board: number[]) => number}
+ */
+export const createLowScorer = (mode) => {
+  const game = getGameMode(mode);
+
+  if (!game.mustUseHole) {
+    return (hole, board) => {
+      let mask = 0;
+      for (let i = 0; i < hole.length; i++) mask |= LOW_BIT[hole[i] >> 2];
+      for (let i = 0; i < board.length; i++) mask |= LOW_BIT[board[i] >> 2];
+      return BEST_LOW[mask];
+    };
+  }
+
+  // Two hole cards and three board cards must be five different low ranks
+  const holePairs = pairsOf([...Array(game.holeCards).keys()]);
+  const boardTriples = triplesOf([0, 1, 2, 3, 4]);
+  return (hole, board) => {
+    let best = NO_LOW;
+    for (let p = 0; p < holePairs.length; p++) {
+      const a = LOW_BIT[hole[holePairs[p][0]] >> 2];
+      const b = LOW_BIT[hole[holePairs[p][1]] >> 2];
+      if (!a || !b || a === b) continue;
+      for (let t = 0; t < boardTriples.length; t++) {
+        const [x, y, z] = boardTriples[t];
+        const mask =
+          a |
+          b |
+          LOW_BIT[board[x] >> 2] |
+          LOW_BIT[board[y] >> 2] |
+          LOW_BIT[board[z] >> 2];
+        const score = BEST_LOW[mask];
+        if (score > best && 256 - score === mask) best = score;
+      }
+    }
+    return best;
+  };
+};
+
+/**
+ * Best eight-or-better low for one player under a game mode's rules.
+ * @param {string[]} hole
+ * @param {string[]} board Five board cards.
+ * @param {string} [mode]
+ * @returns {{description: string, cards: string[], score: number,
+ *   holeCardsUsed: string[], boardCardsUsed: string[]} | null} `null` when
+ *   the player has no qualifying low.
+ */
+export const solveGameLow = (hole, board, mode) => {
+  const game = getGameMode(mode);
+  const candidates = game.mustUseHole
+    ? pairsOf(hole).flatMap((pair) =>
+        triplesOf(board).map((triple) => [...pair, ...triple])
+      )
+    : [[...hole, ...board]];
+
+  let best = null;
+  candidates.forEach((cards) => {
+    const score = evaluateLowCodes(cards.map(encodeCard));
+    // In Omaha all five cards must count, so a low needs five distinct ranks
+    const usesAll =
+      !game.mustUseHole ||
+      new Set(cards.map((c) => LOW_BIT[encodeCard(c) >> 2])).size === 5;
+    if (score !== NO_LOW && usesAll && (!best || score > best.score)) {
+      best = { score, cards };
+    }
+  });
+  if (!best) return null;
+
+  // One card per rank of the low, highest first
+  const five = 256 - best.score;
+  const used = [];
+  for (let bit = 7; bit >= 0; bit--) {
+    if (!(five & (1 << bit))) continue;
+    used.push(best.cards.find((c) => LOW_BIT[encodeCard(c) >> 2] === 1 << bit));
+  }
+
+  return {
+    description: describeLow(best.score),
+    cards: used,
+    score: best.score,
+    holeCardsUsed: used.filter((c) => hole.includes(c)),
+    boardCardsUsed: used.filter((c) => board.includes(c)),
+  };
+};
@@ -0,0 +1,177 @@
+import { ranks } from './cards.js';
+import { EngineError } from './errors.js';
+
+/**
+ * Thrown by `parseTableNotation`. `token` is the exact piece of text that
+ * could not be used.
+ */
+export class NotationError extends EngineError {
+  constructor(code, message, token) {
+    super(code, message);
+    this.name = 'NotationError';
+    this.token = token;
+  }
+}
+
+// Unicode suit symbols, filled and outlined, with or without the emoji
+// variation selector the picker uses
+const SUIT_ALIASES = {
+  '♠': 's',
+  '♤': 's',
+  '♥': 'h',
+  '♡': 'h',
+  '♦': 'd',
+  '♢': 'd',
+  '♣': 'c',
+  '♧': 'c',
+};
+
+const CARD = /(10|[2-9tjqka])\uFE0F?([shdc♠♤♥♡♦♢♣♧])\uFE0F?/giy;
+
+// All cards in a run of text with no spaces, e.g. "AsKd"; null if any part
+// of it is not a card
+const readCards = (chunk) => {
+  const cards = [];
+  CARD.lastIndex = 0;
+  while (CARD.lastIndex < chunk.length) {
+    const match = CARD.exec(chunk);
+    if (!match) return null;
+    const rank = match[1] === '10' ? 'T' : match[1].toUpperCase();
+    const suit = SUIT_ALIASES[match[2]] || match[2].toLowerCase();
+    cards.push(rank + suit);
+  }
+  return cards;
+};
+
+/**
+ * Normalise one card written in any accepted notation.
+ * @param {string} text e.g. `'As'`, `'as'`, `'A♠'`, `'10h'`.
+ * @returns {string | null} The card as `'As'`, or `null` if it is not one.
+ */
+export const normalizeCard = (text) => {
+  const cards = readCards(text.trim());
+  return cards && cards.length === 1 ? cards[0] : null;
+};
+
+// Cards in one section of the notation, reporting the first bad chunk
+const readSection = (section, deckRanks) =>
+  section
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .flatMap((chunk) => {
+      const cards = readCards(chunk);
+      if (!cards) {
+        throw new NotationError(
+          'INVALID_CARD',
+          `"${chunk}" is not a valid card.`,
+          chunk
+        );
+      }
+      const outside = cards.find((card) => !deckRanks.includes(card[0]));
+      if (outside) {
+        throw new NotationError(
+          'INVALID_CARD',
+          `${outside} is not in the deck for this game.`,
+          chunk
+        );
+      }
+      return cards;
+    });
+
+/**
+ * Parse a whole table typed as text: hands separated by `/`, then `|` and
+ * the board, e.g. `'AsKd / QhQc | 7s8s9d Th 2c'`. Cards may be run together
+ * or separated by spaces, ranks may be lowercase or `10`, and suits may be
+ * letters or symbols. Either part may be left out: text without `|` is only
+ * hands, and text starting with `|` is only a board.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.holeCards] Cards each hand must have.
+ * @param {number} [options.boardCards] Board cards the game deals; 0 in
+ *   Stud, where no board may be given.
+ * @param {string[]} [options.ranks] Ranks in the deck, e.g.
+ *   `SHORT_DECK_RANKS`.
+ * @param {string[]} [options.used] Cards already on the table that the text
+ *   does not replace; they may not appear again.
+ * @returns {{players: string[][] | null, community: string[] | null}}
+ *   `null` for a part that was not given. `community` has five slots.
+ * @throws {NotationError} `INVALID_NOTATION`, `INVALID_CARD`,
+ *   `DUPLICATE_CARD`, `WRONG_HOLE_CARDS` or `TOO_MANY_BOARD_CARDS`, with the
+ *   offending token.
+ */
+export const parseTableNotation = (
+  text,
+  { holeCards = 2, boardCards = 5, ranks: deckRanks = ranks, used = [] } = {}
+) => {
+  const [handsPart, boardPart, extra] = text.split('|');
+  if (extra !== undefined) {
+    throw new NotationError(
+      'INVALID_NOTATION',
+      'Use a single "|" between the hands and the board.',
+      '|'
+    );
+  }
+
+  let players = null;
+  if (handsPart.trim()) {
+    players = handsPart.split('/').map((hand) => {
+      const cards = readSection(hand, deckRanks);
+      if (cards.length !== holeCards) {
+        throw new NotationError(
+          'WRONG_HOLE_CARDS',
+          `"${hand.trim()}" has ${cards.length} cards; each hand needs ${holeCards}.`,
+          hand.trim()
+        );
+      }
+      return cards;
+    });
+  }
+
+  let community = null;
+  if (boardPart !== undefined) {
+    const board = readSection(boardPart, deckRanks);
+    if (board.length > boardCards) {
+      throw new NotationError(
+        'TOO_MANY_BOARD_CARDS',
+        boardCards
+          ? `The board has ${board.length} cards; at most ${boardCards} are allowed.`
+          : 'This game has no board.',
+        board.slice(boardCards).join(' ')
+      );
+    }
+    community = Array.from({ length: 5 }, (_, i) => board[i] || '');
+  }
+
+  const seen = new Set(used.filter(Boolean));
+  [...(players || []).flat(), ...(community || []).filter(Boolean)].forEach(
+    (card) => {
+      if (seen.has(card)) {
+        throw new NotationError(
+          'DUPLICATE_CARD',
+          `${card} is used more than once.`,
+          card
+        );
+      }
+      seen.add(card);
+    }
+  );
+
+  return { players, community };
+};
+
+/**
+ * Write hands and a board in the notation `parseTableNotation` reads, e.g.
+ * `'AsKd / QhQc | 7s8s9d Th 2c'`. Empty card slots are skipped.
+ * @param {string[][]} hands
+ * @param {string[]} [community]
+ * @returns {string}
+ */
+export const formatTableNotation = (hands, community = []) => {
+  const board = community.filter(Boolean);
+  const handsText = hands
+    .map((cards) => cards.filter(Boolean).join(''))
+    .join(' / ');
+  if (board.length === 0) return handsText;
+  const boardText = [board.slice(0, 3).join(''), ...board.slice(3)].join(' ');
+  return `${handsText} | ${boardText}`;
+};
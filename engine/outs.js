@@ -0,0 +1,125 @@
+import { buildDeck, forEachCombination } from './cards.js';
+import { EngineError } from './errors.js';
+import { encodeCard, HAND_CATEGORIES, scoreCategory } from './evaluator.js';
+import { createScorer, getGameMode } from './games.js';
+
+// Indices of the highest scores
+const leadersOf = (scores) => {
+  const best = Math.max(...scores);
+  return scores.map((s, i) => (s === best ? i : -1)).filter((i) => i >= 0);
+};
+
+/**
+ * Outs for each player on the flop or turn: the unseen cards that would make
+ * them the outright leader on the next street, grouped by the hand they
+ * would make.
+ *
+ * `estimate` is the rule of 4 (flop) or rule of 2 (turn) applied to the outs
+ * count, and `exact` is the matching true percentage: the chance of hitting
+ * one of the outs by the river on the flop, or on the river card on the
+ * turn. A player is `drawingDead` when no runout to the river wins or splits
+ * the pot for them.
+ * @param {string[][]} hands Hole cards per player.
+ * @param {string[]} board Three or four board cards.
+ * @param {Object} [options]
+ * @param {string[]} [options.deck] Unseen cards. Defaults to the deck minus
+ *   the hole cards and board.
+ * @param {string} [options.gameMode] One of the `GAME_MODES` values.
+ * @returns {{street: 'flop' | 'turn', unseen: number, players: {
+ *   leading: boolean, outs: number, groups: {name: string, cards: string[]}[],
+ *   splitOuts: string[], estimate: number, exact: number,
+ *   drawingDead: boolean}[]}} `leading` is set for players who hold the best
+ *   hand right now; their `outs` are the cards that keep them ahead.
+ *   `splitOuts` are cards that would tie them for the lead.
+ * @throws {EngineError} When the board is not a flop or turn.
+ */
+export const analyzeOuts = (
+  hands,
+  board,
+  {
+    gameMode = 'holdem',
+    deck = buildDeck([...hands.flat(), ...board], getGameMode(gameMode).ranks),
+  } = {}
+) => {
+  if (board.length !== 3 && board.length !== 4) {
+    throw new EngineError(
+      'INVALID_STREET',
+      'Outs can only be counted on the flop or the turn.'
+    );
+  }
+
+  const holeCodes = hands.map((cards) => cards.map(encodeCard));
+  const boardCodes = board.map(encodeCard);
+  const scoreNow = createScorer(gameMode, board.length);
+  const scoreNext = createScorer(gameMode, board.length + 1);
+  const scoreRiver = createScorer(gameMode, 5);
+
+  const leaders = leadersOf(
+    holeCodes.map((hole) => scoreNow(hole, boardCodes))
+  );
+  const players = hands.map((_, i) => ({
+    leading: leaders.includes(i),
+    groups: {},
+    outs: 0,
+    splitOuts: [],
+  }));
+
+  const nextBoard = [...boardCodes, 0];
+  deck.forEach((card) => {
+    nextBoard[board.length] = encodeCard(card);
+    const scores = holeCodes.map((hole) => scoreNext(hole, nextBoard));
+    const best = leadersOf(scores);
+    if (best.length > 1) {
+      best.forEach((i) => players[i].splitOuts.push(card));
+      return;
+    }
+    const player = players[best[0]];
+    const name = HAND_CATEGORIES[scoreCategory(scores[best[0]])];
+    (player.groups[name] = player.groups[name] || []).push(card);
+    player.outs++;
+  });
+
+  // A player can still win or split if any runout to the river gives them a
+  // share of the lead
+  const alive = hands.map(() => false);
+  const river = new Int32Array(5);
+  boardCodes.forEach((code, i) => {
+    river[i] = code;
+  });
+  forEachCombination(deck.map(encodeCard), 5 - board.length, (runout) => {
+    if (alive.every(Boolean)) return;
+    runout.forEach((code, i) => {
+      river[board.length + i] = code;
+    });
+    leadersOf(holeCodes.map((hole) => scoreRiver(hole, river))).forEach((i) => {
+      alive[i] = true;
+    });
+  });
+
+  const unseen = deck.length;
+  return {
+    street: board.length === 3 ? 'flop' : 'turn',
+    unseen,
+    players: players.map((p, i) => {
+      const missed =
+        board.length === 3
+          ? ((unseen - p.outs) * (unseen - p.outs - 1)) /
+            (unseen * (unseen - 1))
+          : (unseen - p.outs) / unseen;
+      return {
+        leading: p.leading,
+        outs: p.outs,
+        groups: Object.entries(p.groups)
+          .map(([name, cards]) => ({ name, cards }))
+          .sort(
+            (a, b) =>
+              HAND_CATEGORIES.indexOf(b.name) - HAND_CATEGORIES.indexOf(a.name)
+          ),
+        splitOuts: p.splitOuts,
+        estimate: Math.min(100, p.outs * (board.length === 3 ? 4 : 2)),
+        exact: (1 - missed) * 100,
+        drawingDead: !alive[i],
+      };
+    }),
+  };
+};
@@ -0,0 +1,112 @@
+export const ODD_CHIP_RULES = [
+  { value: 'first', label: 'First Seat' },
+  { value: 'last', label: 'Last Seat' },
+  { value: 'house', label: 'House' },
+];
+
+/**
+ * Build the main pot plus one side pot per all-in level. Everyone's
+ * contribution is capped at each level in turn.
+ * @param {number[]} contributions Chips each seat put in, by seat index.
+ * @returns {{amount: number, eligible: number[]}[]} Main pot first.
+ */
+export const buildPots = (contributions) => {
+  const levels = [...new Set(contributions.filter((c) => c > 0))].sort(
+    (a, b) => a - b
+  );
+  const pots = [];
+  let previous = 0;
+  levels.forEach((level) => {
+    const amount = contributions.reduce(
+      (sum, c) => sum + Math.max(0, Math.min(c, level) - previous),
+      0
+    );
+    const eligible = contributions
+      .map((c, i) => (c >= level ? i : -1))
+      .filter((i) => i >= 0);
+    pots.push({ amount, eligible });
+    previous = level;
+  });
+  return pots;
+};
+
+// Divide `amount` between `winners`, handing out the odd chips by `rule`
+const splitAmount = (amount, winners, rule, payouts) => {
+  const share = Math.floor(amount / winners.length);
+  const oddChips = amount - share * winners.length;
+  winners.forEach((i) => {
+    payouts[i] = (payouts[i] || 0) + share;
+  });
+  if (rule !== 'house') {
+    const order = rule === 'last' ? [...winners].reverse() : winners;
+    order.slice(0, oddChips).forEach((i) => {
+      payouts[i] += 1;
+    });
+  }
+  return oddChips;
+};
+
+/**
+ * Split each pot between its winners. Chips that do not divide evenly go one
+ * at a time to winners in seat order (`first`), reverse seat order (`last`),
+ * or to the house.
+ * @param {{amount: number, eligible: number[]}[]} pots From `buildPots`.
+ * @param {(eligible: number[]) => number[]} pickWinners Winning seats among
+ *   the eligible ones, in seat order.
+ * @param {'first' | 'last' | 'house'} [oddChipRule]
+ * @returns {{pots: Array, payouts: Object<number, number>}} The pots with
+ *   `winners` and `oddChips` added, and the total won per seat.
+ */
+export const awardPots = (pots, pickWinners, oddChipRule = 'first') => {
+  const payouts = {};
+  const awarded = pots.map((pot) => {
+    const winners = pickWinners(pot.eligible);
+    const oddChips = splitAmount(pot.amount, winners, oddChipRule, payouts);
+    return { ...pot, winners, oddChips };
+  });
+  return { pots: awarded, payouts };
+};
+
+/**
+ * Split each pot in half between the best high and the best qualifying low
+ * hand. A pot with no qualifying low among its eligible seats goes entirely
+ * to the high hand; an odd chip between the halves goes to the high half.
+ * @param {{amount: number, eligible: number[]}[]} pots From `buildPots`.
+ * @param {(eligible: number[]) => number[]} pickHigh
+ * @param {(eligible: number[]) => number[]} pickLow Empty when no eligible
+ *   seat has a qualifying low.
+ * @param {'first' | 'last' | 'house'} [oddChipRule]
+ * @returns {{pots: Array, payouts: Object<number, number>}} The pots with
+ *   `winners`, `lowWinners` and `oddChips` added, and the total won per seat.
+ */
+export const awardHiLoPots = (
+  pots,
+  pickHigh,
+  pickLow,
+  oddChipRule = 'first'
+) => {
+  const payouts = {};
+  const awarded = pots.map((pot) => {
+    const winners = pickHigh(pot.eligible);
+    const lowWinners = pickLow(pot.eligible);
+    if (lowWinners.length === 0) {
+      const oddChips = splitAmount(pot.amount, winners, oddChipRule, payouts);
+      return { ...pot, winners, lowWinners, oddChips };
+    }
+    const lowHalf = Math.floor(pot.amount / 2);
+    const oddChips =
+      splitAmount(pot.amount - lowHalf, winners, oddChipRule, payouts) +
+      splitAmount(lowHalf, lowWinners, oddChipRule, payouts);
+    return { ...pot, winners, lowWinners, oddChips };
+  });
+  return { pots: awarded, payouts };
+};
+
+/**
+ * @param {string | number} value Chip amount as typed by the user.
+ * @returns {number} A positive whole number of chips, or 0.
+ */
+export const parseChips = (value) => {
+  const amount = parseInt(value, 10);
+  return Number.isFinite(amount) && amount > 0 ? amount : 0;
+};
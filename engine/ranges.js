@@ -0,0 +1,180 @@
+import { ranks, suits } from './cards.js';
+import { EngineError } from './errors.js';
+
+// Ranks by strength: 2 = 0 ... A = 12
+const strength = (rank) => ranks.length - 1 - ranks.indexOf(rank);
+const rankOf = (value) => ranks[ranks.length - 1 - value];
+
+const classOf = (high, low, kind) =>
+  high === low
+    ? rankOf(high).repeat(2)
+    : `${rankOf(high)}${rankOf(low)}${kind}`;
+
+/**
+ * The 13x13 starting-hand grid in `ranks` order: pairs on the diagonal,
+ * suited hands above it and offsuit hands below, e.g. `'AA'`, `'AKs'`,
+ * `'AKo'`.
+ */
+export const RANGE_GRID = ranks.map((row, i) =>
+  ranks.map((column, j) => {
+    if (i === j) return row + column;
+    return i < j ? `${row}${column}s` : `${column}${row}o`;
+  })
+);
+
+const GRID_ORDER = RANGE_GRID.flat();
+
+const HAND = /^([2-9TJQKA])([2-9TJQKA])([so]?)$/;
+
+// "AKs" -> {high, low, kind}; null when the text is not a starting hand
+const parseHand = (text) => {
+  const match = HAND.exec(
+    text.slice(0, 2).toUpperCase() + text.slice(2).toLowerCase()
+  );
+  if (!match) return null;
+  const a = strength(match[1]);
+  const b = strength(match[2]);
+  if (a === b && match[3]) return null;
+  return { high: Math.max(a, b), low: Math.min(a, b), kind: match[3] };
+};
+
+// Starting-hand classes for one token of a range string
+const expandToken = (token) => {
+  const [from, to, extra] = token.split('-');
+  const plus = !to && from.endsWith('+');
+  const start = parseHand(plus ? from.slice(0, -1) : from);
+  const end = to === undefined ? start : parseHand(to);
+  if (!start || !end || extra !== undefined) return null;
+
+  const hands = [];
+  const isPair = start.high === start.low;
+  if (plus && isPair) {
+    for (let v = start.high; v <= 12; v++) hands.push([v, v, '']);
+  } else if (plus) {
+    for (let v = start.low; v < start.high; v++) {
+      hands.push([start.high, v, start.kind]);
+    }
+  } else if (isPair && end.high === end.low) {
+    const [lo, hi] = [start.high, end.high].sort((x, y) => x - y);
+    for (let v = lo; v <= hi; v++) hands.push([v, v, '']);
+  } else if (isPair || end.high === end.low || start.kind !== end.kind) {
+    return null;
+  } else if (start.high === end.high) {
+    // "AJs-A8s": one high card, a run of kickers
+    const [lo, hi] = [start.low, end.low].sort((x, y) => x - y);
+    for (let v = lo; v <= hi; v++) hands.push([start.high, v, start.kind]);
+  } else if (start.high - start.low === end.high - end.low) {
+    // "76s-54s": connectors or gappers with the same gap
+    const gap = start.high - start.low;
+    const [lo, hi] = [start.low, end.low].sort((x, y) => x - y);
+    for (let v = lo; v <= hi; v++) hands.push([v + gap, v, start.kind]);
+  } else {
+    return null;
+  }
+
+  return hands.flatMap(([high, low, kind]) =>
+    high === low || kind
+      ? [classOf(high, low, kind)]
+      : [classOf(high, low, 's'), classOf(high, low, 'o')]
+  );
+};
+
+/**
+ * Parse a range string such as `'QQ+, AKs, 76s-54s, AJo-ATo, KTs+'`.
+ * Commas or spaces separate the parts.
+ * @param {string} text
+ * @returns {string[]} Starting-hand classes in `RANGE_GRID` order.
+ * @throws {EngineError} `INVALID_RANGE` naming the first part that could
+ *   not be read.
+ */
+export const parseRange = (text) => {
+  const classes = new Set();
+  text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach((token) => {
+      const hands = expandToken(token);
+      if (!hands) {
+        throw new EngineError(
+          'INVALID_RANGE',
+          `"${token}" is not a valid range.`
+        );
+      }
+      hands.forEach((hand) => classes.add(hand));
+    });
+  return GRID_ORDER.filter((hand) => classes.has(hand));
+};
+
+// Runs of consecutive values, highest first
+const runsOf = (values) => {
+  const runs = [];
+  [...values]
+    .sort((a, b) => b - a)
+    .forEach((v) => {
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1] === v + 1) run.push(v);
+      else runs.push([v]);
+    });
+  return runs;
+};
+
+/**
+ * Write starting-hand classes back as a short range string, e.g.
+ * `['AA', 'KK', 'QQ', 'AKs']` becomes `'QQ+, AKs'`.
+ * @param {string[]} classes
+ * @returns {string}
+ */
+export const formatRange = (classes) => {
+  const parsed = classes.map(parseHand).filter(Boolean);
+  const parts = [];
+
+  runsOf(parsed.filter((h) => h.high === h.low).map((h) => h.high)).forEach(
+    (run) => {
+      const top = classOf(run[0], run[0]);
+      const bottom = classOf(run[run.length - 1], run[run.length - 1]);
+      if (run[0] === 12 && run.length > 1) parts.push(`${bottom}+`);
+      else parts.push(run.length > 1 ? `${top}-${bottom}` : top);
+    }
+  );
+
+  ['s', 'o'].forEach((kind) => {
+    for (let high = 12; high > 0; high--) {
+      const kickers = parsed
+        .filter((h) => h.kind === kind && h.high === high && h.low !== high)
+        .map((h) => h.low);
+      runsOf(kickers).forEach((run) => {
+        const top = classOf(high, run[0], kind);
+        const bottom = classOf(high, run[run.length - 1], kind);
+        if (run[0] === high - 1 && run.length > 1) parts.push(`${bottom}+`);
+        else parts.push(run.length > 1 ? `${top}-${bottom}` : top);
+      });
+    }
+  });
+
+  return parts.join(', ');
+};
+
+/**
+ * Every two-card combination in a range, leaving out combinations that use
+ * a dead card (card removal).
+ * @param {string | string[]} range A range string or starting-hand classes.
+ * @param {string[]} [dead] Cards that are already out, e.g. the board.
+ * @returns {string[][]}
+ */
+export const expandRange = (range, dead = []) => {
+  const classes = typeof range === 'string' ? parseRange(range) : range;
+  const codes = suits.map((s) => s.code);
+  const combos = [];
+  classes.forEach((hand) => {
+    const [first, second, kind] = hand;
+    codes.forEach((a, i) =>
+      codes.forEach((b, j) => {
+        if (first === second ? j <= i : kind === 's' ? i !== j : i === j) {
+          return;
+        }
+        combos.push([first + a, second + b]);
+      })
+    );
+  });
+  return combos.filter(([a, b]) => !dead.includes(a) && !dead.includes(b));
+};
@@ -0,0 +1,362 @@
+import { validateCards } from './cards.js';
+import { calculateEquity } from './equity.js';
+import { EngineError } from './errors.js';
+import {
+  bestFiveCards,
+  describeScore,
+  evaluateCards,
+  explainRazzScore,
+  explainScore,
+  HAND_CATEGORIES,
+  scoreCategory,
+} from './evaluator.js';
+import { getGameMode, solveGameHand } from './games.js';
+import { solveGameLow } from './lowball.js';
+import { awardHiLoPots, awardPots, buildPots, parseChips } from './pots.js';
+
+/**
+ * Best five-card hand out of five to seven cards.
+ * @param {string[]} cards Usually two hole cards plus five board cards.
+ * @returns {{name: string, description: string, cards: string[], score: number}}
+ *   `name` is the hand category (e.g. `'Two Pair'`), `description` the full
+ *   text (e.g. `'Two Pair, A's & K's'`), `cards` the five cards used, best
+ *   first, and `score` a number that is higher for better hands.
+ */
+export const solveHand = (cards) => {
+  const score = evaluateCards(cards);
+  const five = bestFiveCards(cards, score);
+  return {
+    name: HAND_CATEGORIES[scoreCategory(score)],
+    description: describeScore(score, five),
+    cards: five,
+    score,
+  };
+};
+
+// The board a game is played with. Stud has none, so any cards left in
+// `community` are ignored
+const boardFor = (game, community) => {
+  if (!game.boardCards) return [];
+  const board = community.filter(Boolean);
+  if (board.length !== game.boardCards) {
+    throw new EngineError(
+      'INCOMPLETE_BOARD',
+      `Please select ${game.boardCards} community cards.`
+    );
+  }
+  return board;
+};
+
+/**
+ * @param {{score: number}[]} hands Results of `solveHand`.
+ * @returns {number[]} Indices of the winning hands (several on a split).
+ */
+export const determineWinners = (hands) => {
+  const best = Math.max(...hands.map((h) => h.score));
+  return hands.map((h, i) => (h.score === best ? i : -1)).filter((i) => i >= 0);
+};
+
+/**
+ * Evaluate a showdown and, when contributions are given, pay out the main
+ * and side pots. Players marked `folded` need no cards: their chips stay in
+ * the pots but they cannot win any of them.
+ * @param {Object} table
+ * @param {{name: string, cards: string[], contribution?: string | number,
+ *   folded?: boolean}[]} table.players
+ * @param {string[]} table.community Five board cards; empty slots are ignored.
+ *   Unused in Stud games.
+ * @param {'first' | 'last' | 'house'} [table.oddChipRule]
+ * @param {string} [table.gameMode] One of the `GAME_MODES` values.
+ * @param {boolean} [table.hiLo] Split each pot between the best high hand and
+ *   the best eight-or-better low.
+ * @returns {{results: Object[], pots: Object[], lowQualified: boolean}} One
+ *   result per player, in seat order, with `name`, `description`, `handName`,
+ *   `bestCards`, `holeCardsUsed`, `boardCardsUsed`, `isWinner`,
+ *   `explanation` (for winners, why they beat the best losing hand, e.g.
+ *   `"Pair of Kings, Ace kicker beats Queen kicker"`), `contribution` and
+ *   `payout` (`null` when no chips were entered). Folded players get
+ *   `folded: true` and the description `'Folded'`. In Hi-Lo results also
+ *   have `low` (the player's low, or `null`), `isLowWinner`, `scoop` (won
+ *   both halves alone) and `quartered` (shares the low half with one other
+ *   player). `pots` lists the awarded pots, main pot first.
+ * @throws {EngineError} When the table cannot be evaluated yet.
+ */
+export const evaluateShowdown = ({
+  players,
+  community,
+  oddChipRule = 'first',
+  gameMode = 'holdem',
+  hiLo = false,
+}) => {
+  const game = getGameMode(gameMode);
+
+  if (players.length < 2) {
+    throw new EngineError(
+      'NOT_ENOUGH_PLAYERS',
+      'At least 2 players are required to evaluate.'
+    );
+  }
+
+  const live = players.map((p, i) => (p.folded ? -1 : i)).filter((i) => i >= 0);
+  if (live.length < 2) {
+    throw new EngineError(
+      'NOT_ENOUGH_PLAYERS',
+      'At least 2 players must reach the showdown.'
+    );
+  }
+
+  const board = boardFor(game, community);
+
+  const shown = live.map((i) => players[i]);
+  if (
+    shown.some(
+      (p) => p.cards.length !== game.holeCards || p.cards.some((c) => !c)
+    )
+  ) {
+    throw new EngineError(
+      'INCOMPLETE_HAND',
+      `Please ensure all players have ${game.holeCards} cards.`
+    );
+  }
+
+  validateCards([...shown.flatMap((p) => p.cards), ...board], game.ranks);
+
+  // Folded seats have no hand
+  const hands = players.map((p) =>
+    p.folded ? null : solveGameHand(p.cards, board, gameMode)
+  );
+  // Only seats still in the hand can win a pot; one that only folded players
+  // reached goes to everyone still in
+  const contesting = (eligible) => {
+    const inHand = eligible.filter((i) => hands[i]);
+    return inHand.length ? inHand : live;
+  };
+  const pickHigh = (eligible) => {
+    const seats = contesting(eligible);
+    return determineWinners(seats.map((i) => hands[i])).map((w) => seats[w]);
+  };
+  const winners = pickHigh(live);
+  const losingScores = live
+    .filter((i) => !winners.includes(i))
+    .map((i) => hands[i].score);
+  const runnerUp = losingScores.length ? Math.max(...losingScores) : null;
+  const explain = game.lowball ? explainRazzScore : explainScore;
+
+  const lows = hiLo
+    ? players.map((p) =>
+        p.folded ? null : solveGameLow(p.cards, board, gameMode)
+      )
+    : [];
+  const pickLow = (eligible) => {
+    const qualified = contesting(eligible).filter((i) => lows[i]);
+    if (qualified.length === 0) return [];
+    return determineWinners(qualified.map((i) => lows[i])).map(
+      (w) => qualified[w]
+    );
+  };
+  const lowWinners = hiLo ? pickLow(live) : [];
+
+  // Chip distribution only applies once contributions have been entered
+  const contributions = players.map((p) => parseChips(p.contribution));
+  const hasChips = contributions.some((c) => c > 0);
+  let distribution = { pots: [], payouts: {} };
+  if (hasChips && hiLo) {
+    distribution = awardHiLoPots(
+      buildPots(contributions),
+      pickHigh,
+      pickLow,
+      oddChipRule
+    );
+  } else if (hasChips) {
+    distribution = awardPots(buildPots(contributions), pickHigh, oddChipRule);
+  }
+
+  const hiLoResult = (i) => {
+    const isWinner = winners.includes(i);
+    const isLowWinner = lowWinners.includes(i);
+    return {
+      low: lows[i]
+        ? {
+            description: lows[i].description,
+            cards: lows[i].cards,
+            holeCardsUsed: lows[i].holeCardsUsed,
+            boardCardsUsed: lows[i].boardCardsUsed,
+          }
+        : null,
+      isLowWinner,
+      scoop:
+        isWinner &&
+        winners.length === 1 &&
+        (lowWinners.length === 0 || (isLowWinner && lowWinners.length === 1)),
+      quartered: isLowWinner && lowWinners.length === 2,
+    };
+  };
+
+  const foldedResult = (p, i) => ({
+    name: p.name,
+    description: 'Folded',
+    handName: null,
+    folded: true,
+    isWinner: false,
+    explanation: null,
+    contribution: contributions[i],
+    payout: hasChips ? distribution.payouts[i] || 0 : null,
+    ...(hiLo
+      ? { low: null, isLowWinner: false, scoop: false, quartered: false }
+      : {}),
+  });
+
+  return {
+    results: players.map((p, i) =>
+      p.folded
+        ? foldedResult(p, i)
+        : {
+            name: p.name,
+            description: hands[i].description,
+            handName: hands[i].name,
+            bestCards: hands[i].cards,
+            holeCardsUsed: hands[i].holeCardsUsed,
+            boardCardsUsed: hands[i].boardCardsUsed,
+            isWinner: winners.includes(i),
+            explanation:
+              winners.includes(i) && runnerUp !== null
+                ? explain(hands[i].score, runnerUp)
+                : null,
+            contribution: contributions[i],
+            payout: hasChips ? distribution.payouts[i] || 0 : null,
+            ...(hiLo ? hiLoResult(i) : {}),
+          }
+    ),
+    pots: distribution.pots,
+    lowQualified: lowWinners.length > 0,
+  };
+};
+
+/**
+ * Showdown where some hole cards were never shown. Each empty card slot is
+ * treated as a random card from the rest of the deck, and every player gets
+ * the chance that they held the best hand (`ahead`).
+ * @param {Object} table
+ * @param {{name: string, cards: string[]}[]} table.players `''` marks an
+ *   unknown card.
+ * @param {string[]} table.community Five board cards.
+ * @param {string} [table.gameMode] One of the `GAME_MODES` values.
+ * @param {boolean} [table.hiLo]
+ * @returns {{results: Object[]}} One result per player with `name`,
+ *   `description`, `handName` and `bestCards` (`null` unless the player's
+ *   cards are all known), `unknown`, and `ahead` as `{win, tie, share}`
+ *   percentages from `calculateEquity`.
+ * @throws {EngineError} When the table cannot be evaluated, or when no
+ *   player's hand is fully known.
+ */
+export const evaluateHiddenShowdown = ({
+  players,
+  community,
+  gameMode = 'holdem',
+  hiLo = false,
+}) => {
+  const game = getGameMode(gameMode);
+
+  if (players.length < 2) {
+    throw new EngineError(
+      'NOT_ENOUGH_PLAYERS',
+      'At least 2 players are required to evaluate.'
+    );
+  }
+
+  const board = boardFor(game, community);
+
+  if (players.some((p) => p.cards.length !== game.holeCards)) {
+    throw new EngineError(
+      'INCOMPLETE_HAND',
+      `Please ensure all players have ${game.holeCards} card slots.`
+    );
+  }
+  const isKnown = (p) => p.cards.every(Boolean);
+  if (!players.some(isKnown)) {
+    throw new EngineError(
+      'INCOMPLETE_HAND',
+      'At least one player must show all of their cards.'
+    );
+  }
+
+  validateCards(
+    [...players.flatMap((p) => p.cards.filter(Boolean)), ...board],
+    game.ranks
+  );
+
+  const equity = calculateEquity(
+    players.map((p) => p.cards),
+    board,
+    { gameMode, hiLo }
+  );
+
+  return {
+    results: players.map((p, i) => {
+      const hand = isKnown(p) ? solveGameHand(p.cards, board, gameMode) : null;
+      const { win, tie, share } = equity.players[i];
+      return {
+        name: p.name,
+        description: hand ? hand.description : 'Unknown cards',
+        handName: hand ? hand.name : null,
+        bestCards: hand ? hand.cards : null,
+        isWinner: false,
+        explanation: null,
+        payout: null,
+        unknown: !hand,
+        ahead: { win, tie, share },
+      };
+    }),
+  };
+};
+
+/**
+ * @param {{cards: string[], unknown?: boolean}} player
+ * @returns {boolean} Whether the player's cards were not all shown, so the
+ *   empty slots stand for random cards.
+ */
+export const hasHiddenCards = (player) =>
+  !!player.unknown && player.cards.some((c) => !c);
+
+/**
+ * Evaluate a table the way the app's Evaluate button does: a full showdown,
+ * or `evaluateHiddenShowdown` among the players still in the hand when any
+ * of them has hidden cards. Scripts use this too so they always agree with
+ * the app.
+ * @param {Object} table As for `evaluateShowdown`; players may also set
+ *   `unknown` (see `hasHiddenCards`).
+ * @returns {{results: Object[], pots: Object[], lowQualified: boolean,
+ *   hidden: boolean}} One result per seat. `hidden` is set when the results
+ *   are chances of being ahead rather than a showdown; there are no pots
+ *   then, and folded seats get `folded: true` and `ahead: null`.
+ * @throws {EngineError} When the table cannot be evaluated yet.
+ */
+export const evaluateTable = (table) => {
+  if (table.players.some(hasHiddenCards)) {
+    const live = table.players.filter((p) => !p.folded);
+    const { results } = evaluateHiddenShowdown({ ...table, players: live });
+    // One result per seat, as `evaluateShowdown` gives
+    return {
+      results: table.players.map((p) =>
+        p.folded
+          ? {
+              name: p.name,
+              description: 'Folded',
+              handName: null,
+              bestCards: null,
+              folded: true,
+              isWinner: false,
+              explanation: null,
+              payout: null,
+              unknown: false,
+              ahead: null,
+            }
+          : results[live.indexOf(p)]
+      ),
+      pots: [],
+      lowQualified: false,
+      hidden: true,
+    };
+  }
+  return { ...evaluateShowdown(table), hidden: false };
+};
@@ -0,0 +1,145 @@
+import { HAND_CATEGORIES } from './evaluator.js';
+
+/**
+ * Stats the leaderboard can be sorted by, with labels for display.
+ */
+export const STAT_SORTS = [
+  { value: 'handsPlayed', label: 'Played' },
+  { value: 'handsWon', label: 'Won' },
+  { value: 'splits', label: 'Splits' },
+  { value: 'winRate', label: 'Win %' },
+  { value: 'net', label: 'Net' },
+];
+
+// Seats that won any part of a recorded hand, high or low
+const winnersOf = (entry) =>
+  entry.results
+    .map((r, i) => (r.isWinner || r.isLowWinner ? i : -1))
+    .filter((i) => i >= 0);
+
+/**
+ * Per-player statistics over recorded hands, keyed by player name. A hand is
+ * won when the player took the whole pot alone and a split when they shared
+ * it; `winRate` counts both. `net` is chips won minus chips put in, or
+ * `null` if no chips were ever entered for the player.
+ * @param {Object[]} entries Hand history entries, each with `results` from
+ *   `evaluateShowdown`.
+ * @returns {{name: string, handsPlayed: number, handsWon: number,
+ *   splits: number, winRate: number, net: number | null,
+ *   categories: Object<string, number>}[]} In order of first appearance.
+ *   `categories` counts the made hands shown down, e.g. `{Pair: 3}`.
+ */
+export const computePlayerStats = (entries) => {
+  const stats = new Map();
+  entries.forEach((entry) => {
+    const winners = winnersOf(entry);
+    entry.results.forEach((r, i) => {
+      if (!stats.has(r.name)) {
+        stats.set(r.name, {
+          name: r.name,
+          handsPlayed: 0,
+          handsWon: 0,
+          splits: 0,
+          winRate: 0,
+          net: null,
+          categories: {},
+        });
+      }
+      const s = stats.get(r.name);
+      s.handsPlayed++;
+      if (winners.includes(i)) {
+        if (winners.length === 1) s.handsWon++;
+        else s.splits++;
+      }
+      if (r.handName) {
+        s.categories[r.handName] = (s.categories[r.handName] || 0) + 1;
+      }
+      if (r.payout !== null && r.payout !== undefined) {
+        s.net = (s.net || 0) + r.payout - r.contribution;
+      }
+    });
+  });
+
+  return [...stats.values()].map((s) => ({
+    ...s,
+    winRate: ((s.handsWon + s.splits) / s.handsPlayed) * 100,
+  }));
+};
+
+/**
+ * Sort player stats best first by one of the `STAT_SORTS` values. Players
+ * without chip results sort last by net.
+ * @param {Object[]} stats From `computePlayerStats`.
+ * @param {string} key
+ * @returns {Object[]} A new array.
+ */
+export const sortPlayerStats = (stats, key) =>
+  [...stats].sort((a, b) => {
+    const x = a[key] === null ? -Infinity : a[key];
+    const y = b[key] === null ? -Infinity : b[key];
+    return y - x || a.name.localeCompare(b.name);
+  });
+
+/**
+ * @param {Object<string, number>} categories From `computePlayerStats`.
+ * @returns {{name: string, count: number}[]} Best hand category first.
+ */
+export const categoryDistribution = (categories) =>
+  HAND_CATEGORIES.map((name) => ({ name, count: categories[name] || 0 }))
+    .filter((c) => c.count > 0)
+    .reverse();
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One player's recorded hands as CSV, one row per hand, oldest first.
+ * @param {string} name
+ * @param {Object[]} entries Hand history entries.
+ * @returns {string}
+ */
+export const formatPlayerCsv = (name, entries) => {
+  const rows = [
+    [
+      'Date',
+      'Session',
+      'Game',
+      'Cards',
+      'Board',
+      'Hand',
+      'Result',
+      'Contribution',
+      'Payout',
+      'Net',
+    ],
+  ];
+  [...entries]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach((entry) => {
+      const seat = entry.results.findIndex((r) => r.name === name);
+      if (seat < 0) return;
+      const r = entry.results[seat];
+      const winners = winnersOf(entry);
+      const outcome = !winners.includes(seat)
+        ? 'Lost'
+        : winners.length === 1
+          ? 'Won'
+          : 'Split';
+      const hasChips = r.payout !== null && r.payout !== undefined;
+      rows.push([
+        new Date(entry.timestamp).toISOString(),
+        entry.sessionName || '',
+        entry.gameMode || 'holdem',
+        entry.players[seat]?.cards.join(' ') || '',
+        entry.board.join(' '),
+        r.description,
+        outcome,
+        hasChips ? r.contribution : '',
+        hasChips ? r.payout : '',
+        hasChips ? r.payout - r.contribution : '',
+      ]);
+    });
+  return rows.map((row) => row.map(csvField).join(',')).join('\n');
+};
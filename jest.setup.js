@@ -0,0 +1,4 @@
+// Native modules the app touches on start-up, replaced for Node
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
@@ -0,0 +1,264 @@
+// Evaluates showdowns from a file of hands with the same engine call as the
+// app's Evaluate button (`evaluateTable`), so the two never disagree.
+//
+//   node scripts/evaluate-hands.js [FILE] [--format json|csv] [--game MODE]
+//     [--hi-lo] [--odd-chips first|last|house] [--equity] [--samples N]
+//     [--output FILE]
+//
+// Each line is one hand, either as JSON in the shape `evaluateShowdown`
+// takes:
+//
+//   {"players": [{"name": "Alice", "cards": ["As", "Ad"], "contribution": 100},
+//     {"name": "Bob", "cards": ["Kh", "Kd"]}], "community": ["2c", "7d", "Ks",
+//     "3h", "9s"], "gameMode": "holdem"}
+//
+// or in the app's text notation, e.g. `AsKd / QhQc | 7s8s9d Th 2c`, with
+// players named Player 1, Player 2 and so on. Blank lines and lines starting
+// with # are skipped. `--game` and `--hi-lo` apply to text lines and to JSON
+// hands that do not set `gameMode` or `hiLo`. Without FILE the hands are read
+// from standard input.
+//
+// JSON output is one object per hand (JSON Lines); CSV output is one row per
+// player. `--equity` adds win/tie/lose percentages, and with it hands whose
+// board is not complete yet are given equities only. Lines are read and
+// written one at a time, so large files run in constant memory. A hand that
+// cannot be evaluated is reported with its line number and the run carries
+// on; the exit code is then 1.
+import { once } from 'node:events';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+
+import {
+  calculateEquity,
+  evaluateTable,
+  GAME_MODES,
+  getGameMode,
+  ODD_CHIP_RULES,
+  parseTableNotation,
+  validateCards,
+} from '../engine/index.js';
+
+const FORMATS = ['json', 'csv'];
+const FLAGS = ['hi-lo', 'equity'];
+const VALUES = ['format', 'game', 'odd-chips', 'samples', 'output'];
+
+const usage = (message) => {
+  console.error(message);
+  console.error(
+    'Usage: node scripts/evaluate-hands.js [FILE] [--format json|csv] ' +
+      '[--game MODE] [--hi-lo] [--odd-chips first|last|house] [--equity] ' +
+      '[--samples N] [--output FILE]'
+  );
+  process.exit(2);
+};
+
+const options = {};
+let file = null;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  const name = arg.slice(2);
+  if (!arg.startsWith('--')) {
+    if (file) usage(`Only one input file can be given, not "${arg}".`);
+    file = arg;
+  } else if (FLAGS.includes(name)) {
+    options[name] = true;
+  } else if (VALUES.includes(name) && i + 1 < args.length) {
+    options[name] = args[++i];
+  } else {
+    usage(`Unknown option "${arg}".`);
+  }
+}
+
+const format = options.format || 'json';
+const gameMode = options.game || 'holdem';
+const oddChipRule = options['odd-chips'] || 'first';
+const samples = options.samples ? Number(options.samples) : undefined;
+if (!FORMATS.includes(format)) usage(`"${format}" is not an output format.`);
+if (!GAME_MODES.some((g) => g.value === gameMode)) {
+  usage(`"${gameMode}" is not a supported game.`);
+}
+if (!ODD_CHIP_RULES.some((r) => r.value === oddChipRule)) {
+  usage(`"${oddChipRule}" is not an odd chip rule.`);
+}
+if (samples !== undefined && !(Number.isInteger(samples) && samples > 0)) {
+  usage('--samples must be a whole number above 0.');
+}
+
+// A table as `evaluateTable` takes it, from either kind of line
+const readTable = (text) => {
+  if (text.startsWith('{')) {
+    let table;
+    try {
+      table = JSON.parse(text);
+    } catch (e) {
+      throw Object.assign(new Error(`Not valid JSON: ${e.message}`), {
+        code: 'INVALID_JSON',
+      });
+    }
+    return {
+      gameMode,
+      hiLo: !!options['hi-lo'],
+      ...table,
+      community: table.community || ['', '', '', '', ''],
+      oddChipRule,
+    };
+  }
+  const { holeCards, boardCards, ranks } = getGameMode(gameMode);
+  const { players, community } = parseTableNotation(text, {
+    holeCards,
+    boardCards,
+    ranks,
+  });
+  return {
+    players: (players || []).map((cards, i) => ({
+      name: `Player ${i + 1}`,
+      cards,
+    })),
+    community: community || ['', '', '', '', ''],
+    gameMode,
+    hiLo: !!options['hi-lo'],
+    oddChipRule,
+  };
+};
+
+// Showdown results, equities or both for one hand; players who folded get no
+// equity
+const evaluateLine = (hand) => {
+  const game = getGameMode(hand.gameMode);
+  // Razz and Short Deck have no low half, as in the app
+  const table = {
+    ...hand,
+    hiLo: !!hand.hiLo && !game.lowball && !game.shortDeck,
+  };
+  const board = table.community.filter(Boolean);
+  const complete = board.length === game.boardCards;
+  const outcome = complete || !options.equity ? evaluateTable(table) : null;
+
+  let equities = null;
+  if (options.equity) {
+    const live = table.players.filter((p) => !p.folded);
+    validateCards(
+      [...live.flatMap((p) => p.cards.filter(Boolean)), ...board],
+      game.ranks
+    );
+    const { players } = calculateEquity(
+      live.map((p) => p.cards),
+      game.boardCards ? board : [],
+      { gameMode: table.gameMode, hiLo: table.hiLo, samples }
+    );
+    equities = table.players.map((p) =>
+      p.folded ? null : players[live.indexOf(p)]
+    );
+  }
+
+  return {
+    board,
+    // With unshown cards nobody wins outright; `ahead` gives each player's
+    // chances instead
+    hidden: !!outcome?.hidden,
+    winners: outcome
+      ? outcome.results.filter((r) => r.isWinner).map((r) => r.name)
+      : [],
+    players: table.players.map((p, i) => ({
+      ...(outcome ? outcome.results[i] : { name: p.name }),
+      cards: p.cards,
+      ...(equities ? { equity: equities[i] } : {}),
+    })),
+  };
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvRow = (fields) => `${fields.map(csvField).join(',')}\n`;
+const percent = (value) => (value === undefined ? '' : value.toFixed(2));
+
+const CSV_HEADER = [
+  'Line',
+  'Player',
+  'Cards',
+  'Board',
+  'Hand',
+  'Winner',
+  'Payout',
+  'Win %',
+  'Tie %',
+  'Lose %',
+  'Share %',
+  'Error',
+];
+
+// Whether a player's row has a showdown result to report
+const hasResult = (hand, p) => !hand.hidden && !!p.description;
+
+const formatHand = (line, hand) => {
+  if (format === 'json') return `${JSON.stringify({ line, ...hand })}\n`;
+  return hand.players
+    .map((p) =>
+      csvRow([
+        line,
+        p.name,
+        p.cards.filter(Boolean).join(' '),
+        hand.board.join(' '),
+        p.description,
+        !hasResult(hand, p) ? '' : p.isWinner ? 'yes' : 'no',
+        p.payout,
+        percent(p.equity?.win),
+        percent(p.equity?.tie),
+        percent(p.equity?.lose),
+        percent(p.equity?.share),
+        '',
+      ])
+    )
+    .join('');
+};
+
+const formatError = (line, e) => {
+  const error = { code: e.code || 'INVALID_HAND', message: e.message };
+  if (format === 'json') return `${JSON.stringify({ line, error })}\n`;
+  return csvRow([line, '', '', '', '', '', '', '', '', '', '', error.message]);
+};
+
+const input = file ? createReadStream(file) : process.stdin;
+const output = options.output
+  ? createWriteStream(options.output)
+  : process.stdout;
+input.on('error', (e) => usage(`Cannot read ${file}: ${e.message}`));
+// Stop quietly when the reader goes away, e.g. piped into `head`
+output.on('error', (e) => {
+  if (e.code !== 'EPIPE') throw e;
+  process.exit(process.exitCode || 0);
+});
+
+// Wait for the output to drain so a slow consumer does not fill memory
+const write = async (text) => {
+  if (!output.write(text)) await once(output, 'drain');
+};
+
+let hands = 0;
+let failed = 0;
+let lineNumber = 0;
+if (format === 'csv') await write(csvRow(CSV_HEADER));
+for await (const raw of createInterface({ input, crlfDelay: Infinity })) {
+  lineNumber++;
+  const text = raw.trim();
+  if (!text || text.startsWith('#')) continue;
+  hands++;
+  let out;
+  try {
+    out = formatHand(lineNumber, evaluateLine(readTable(text)));
+  } catch (e) {
+    failed++;
+    out = formatError(lineNumber, e);
+  }
+  await write(out);
+}
+
+if (output !== process.stdout) output.end();
+console.error(
+  `${hands} hand${hands === 1 ? '' : 's'} evaluated` +
+    (failed ? `, ${failed} failed` : '')
+);
+if (failed) process.exitCode = 1;
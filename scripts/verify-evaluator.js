@@ -0,0 +1,151 @@
+// Checks the fast evaluator in engine/evaluator.js against pokersolver and
+// reports its speed.
+//
+//   node scripts/verify-evaluator.js [--samples N] [--seed N]
+//
+// 1. Every 5-card hand: category and description must match Hand.solve, and
+//    hands must be ordered exactly as Hand#compare orders them.
+// 2. Every 7-card combination (133,784,560) is scored and the category counts
+//    are compared to the known totals; the run doubles as a benchmark.
+// 3. N seeded random 7-card hands are checked against Hand.solve directly.
+import pokersolver from 'pokersolver';
+
+import { createRng } from '../engine/cards.js';
+import {
+  bestFiveCards,
+  decodeCard,
+  describeScore,
+  evaluateCodes,
+  HAND_CATEGORIES,
+} from '../engine/evaluator.js';
+
+const { Hand } = pokersolver;
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+const samples = option('samples', 200000);
+const seed = option('seed', 1);
+
+// Known number of 7-card combinations per category
+const SEVEN_CARD_TOTALS = [
+  23294460, 58627800, 31433400, 6461620, 6180020, 4047644, 3473184, 224848,
+  41584,
+];
+
+let failures = 0;
+const fail = (message) => {
+  failures++;
+  if (failures <= 20) console.error(`  ✗ ${message}`);
+};
+
+const checkHand = (codes, representatives) => {
+  const cards = Array.from(codes, decodeCard);
+  const score = evaluateCodes(codes);
+  const solved = Hand.solve(cards);
+  const description = describeScore(score, bestFiveCards(cards, score));
+
+  if (HAND_CATEGORIES[score >> 20] !== solved.name) {
+    fail(
+      `${cards.join(' ')}: ${HAND_CATEGORIES[score >> 20]} vs ${solved.name}`
+    );
+  }
+  if (description !== solved.descr) {
+    fail(`${cards.join(' ')}: "${description}" vs "${solved.descr}"`);
+  }
+
+  const representative = representatives.get(score);
+  if (!representative) {
+    representatives.set(score, solved);
+  } else if (representative.compare(solved) !== 0) {
+    fail(`${cards.join(' ')} should tie ${representative.toString()}`);
+  }
+};
+
+console.log('Checking every 5-card hand against pokersolver...');
+let started = Date.now();
+const representatives = new Map();
+const five = new Int32Array(5);
+for (let a = 0; a < 52; a++)
+  for (let b = a + 1; b < 52; b++)
+    for (let c = b + 1; c < 52; c++)
+      for (let d = c + 1; d < 52; d++)
+        for (let e = d + 1; e < 52; e++) {
+          five[0] = a;
+          five[1] = b;
+          five[2] = c;
+          five[3] = d;
+          five[4] = e;
+          checkHand(five, representatives);
+        }
+
+const ordered = [...representatives.keys()].sort((x, y) => x - y);
+for (let i = 1; i < ordered.length; i++) {
+  const lower = representatives.get(ordered[i - 1]);
+  const higher = representatives.get(ordered[i]);
+  if (lower.compare(higher) !== 1) {
+    fail(`${lower.toString()} should lose to ${higher.toString()}`);
+  }
+}
+console.log(
+  `  ${ordered.length} distinct hand values in ${(Date.now() - started) / 1000}s`
+);
+
+console.log('Scoring every 7-card combination...');
+started = Date.now();
+const counts = new Array(HAND_CATEGORIES.length).fill(0);
+const seven = new Int32Array(7);
+let evaluated = 0;
+for (let a = 0; a < 52; a++) {
+  seven[0] = a;
+  for (let b = a + 1; b < 52; b++) {
+    seven[1] = b;
+    for (let c = b + 1; c < 52; c++) {
+      seven[2] = c;
+      for (let d = c + 1; d < 52; d++) {
+        seven[3] = d;
+        for (let e = d + 1; e < 52; e++) {
+          seven[4] = e;
+          for (let f = e + 1; f < 52; f++) {
+            seven[5] = f;
+            for (let g = f + 1; g < 52; g++) {
+              seven[6] = g;
+              counts[evaluateCodes(seven, 7) >> 20]++;
+              evaluated++;
+            }
+          }
+        }
+      }
+    }
+  }
+}
+const seconds = (Date.now() - started) / 1000;
+counts.forEach((count, category) => {
+  if (count !== SEVEN_CARD_TOTALS[category]) {
+    fail(
+      `${HAND_CATEGORIES[category]}: ${count} vs ${SEVEN_CARD_TOTALS[category]}`
+    );
+  }
+});
+console.log(
+  `  ${evaluated} hands in ${seconds}s (${Math.round(evaluated / seconds / 1e6)}M hands/s)`
+);
+
+console.log(`Checking ${samples} random 7-card hands against pokersolver...`);
+const random = createRng(seed);
+const deck = Array.from({ length: 52 }, (_, i) => i);
+for (let s = 0; s < samples; s++) {
+  for (let i = 0; i < 7; i++) {
+    const j = i + Math.floor(random() * (52 - i));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  checkHand(deck.slice(0, 7), representatives);
+}
+
+if (failures) {
+  console.error(`${failures} mismatches`);
+  process.exit(1);
+}
+console.log('All checks passed.');